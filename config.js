@@ -0,0 +1,126 @@
+// Application configuration, read from environment variables with sensible defaults
+const path = require('path');
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+module.exports = {
+  port: process.env.PORT || 3000,
+  
+  // Where profiles and other local state are stored
+  dataDir,
+  
+  // Catalog used when a request doesn't ask for one ("jikan" or "anilist")
+  catalogProvider: process.env.CATALOG_PROVIDER || 'jikan',
+  
+  jikan: {
+    // Point this at a local mirror or stub server to avoid hitting api.jikan.moe
+    baseUrl: process.env.JIKAN_BASE_URL || 'https://api.jikan.moe/v4',
+    
+    // Jikan allows 3 requests per second and 60 per minute
+    rateLimit: {
+      perSecond: Number(process.env.JIKAN_PER_SECOND) || 3,
+      perMinute: Number(process.env.JIKAN_PER_MINUTE) || 60,
+      maxRetries: 3,
+      retryBaseDelay: 1000
+    }
+  },
+  
+  anilist: {
+    url: process.env.ANILIST_URL || 'https://graphql.anilist.co',
+    
+    // AniList allows 90 requests per minute
+    rateLimit: {
+      perSecond: 2,
+      perMinute: 90,
+      maxRetries: 3,
+      retryBaseDelay: 1000
+    }
+  },
+  
+  // Language model behind AI mode: "gemini", "openai" (any OpenAI-compatible endpoint, local ones included) or "stub"
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'gemini',
+    timeout: Number(process.env.LLM_TIMEOUT_MS) || 60000,
+    
+    gemini: {
+      baseUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+      apiKey: process.env.GEMINI_API_KEY || null,
+      model: process.env.GEMINI_MODEL || 'gemini-1.5-pro'
+    },
+    
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.OPENAI_API_KEY || null,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+    },
+    
+    // A JSON file with the stub's canned answer; without one it suggests a few well-known titles
+    stub: {
+      responseFile: process.env.LLM_STUB_FILE || null
+    }
+  },
+  
+  cache: {
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 2000,
+    
+    // Set CACHE_DIR to keep cached responses on disk across restarts
+    directory: process.env.CACHE_DIR || null,
+    
+    // Time to live in seconds for each class of upstream call
+    ttl: {
+      search: 12 * HOUR,
+      details: 3 * DAY,
+      recommendations: DAY,
+      relations: 7 * DAY,
+      genre: 12 * HOUR,
+      genres: 7 * DAY,
+      top: 3 * HOUR,
+      season: 12 * HOUR,
+      creators: 3 * DAY
+    }
+  },
+  
+  // Offline snapshot of catalog responses: "record" saves every provider call, "replay" answers from the snapshot
+  // alone without touching the network. Pre-warm one with `npm run snapshot`
+  snapshot: {
+    mode: process.env.SNAPSHOT_MODE || 'off',
+    directory: process.env.SNAPSHOT_DIR || path.join(dataDir, 'snapshot')
+  },
+  
+  // Shared result pages (/r/:id) are kept this long, and only this many of them
+  permalinks: {
+    ttl: (Number(process.env.PERMALINK_TTL_DAYS) || 30) * DAY,
+    maxEntries: Number(process.env.PERMALINK_MAX_ENTRIES) || 5000
+  },
+  
+  // Keys for the versioned /api/v1 API, as comma-separated "name:key" or "name:key:requestsPerDay" entries.
+  // Without any the API is open; with some, every call needs one in the X-API-Key header
+  api: {
+    keys: process.env.API_KEYS || '',
+    dailyQuota: Number(process.env.API_DAILY_QUOTA) || 1000
+  },
+  
+  // Each recommend call can keep the catalog queue busy for seconds, so every client gets its own share:
+  // requests per window counted per API key, or per IP for callers without one, and jobs running at once
+  limits: {
+    window: Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60,
+    perIp: Number(process.env.RATE_LIMIT_PER_IP) || 20,
+    perKey: Number(process.env.RATE_LIMIT_PER_KEY) || 60,
+    concurrentJobs: Number(process.env.MAX_CONCURRENT_JOBS) || 2,
+    maxTitles: Number(process.env.MAX_SEED_TITLES) || 20,
+    bodySize: process.env.MAX_BODY_SIZE || '100kb'
+  },
+  
+  // Origins browsers may call the API from, comma separated; "*" lets any in
+  corsOrigins: process.env.CORS_ORIGINS || '*',
+  
+  // Set when running behind a reverse proxy, so per-IP limits see the client's address: a hop count,
+  // or the proxies' addresses as Express's "trust proxy" setting takes them ("loopback", "10.0.0.0/8")
+  trustProxy: process.env.TRUST_PROXY || false,
+  
+  // Admin routes require this token in the X-Admin-Token header; without it they only answer requests from localhost
+  adminToken: process.env.ADMIN_TOKEN || null
+};
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { catalogCache } = require('../services/providers');
+
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+// Only let requests with the admin token through; without one configured, only requests from this machine.
+// The socket's own address is checked, since a forwarded one can be made up
+router.use((req, res, next) => {
+  if (config.adminToken) {
+    if (req.get('X-Admin-Token') !== config.adminToken) {
+      return res.status(401).json({ error: 'Invalid admin token' });
+    }
+  } else if (!LOOPBACK_ADDRESSES.includes(req.socket.remoteAddress)) {
+    return res.status(403).json({ error: 'Admin routes are only open to this machine until ADMIN_TOKEN is set' });
+  }
+  
+  next();
+});
+
+// Route for inspecting the catalog cache
+router.get('/cache', async (req, res, next) => {
+  try {
+    const stats = await catalogCache.stats({ includeKeys: req.query.keys === 'true' });
+    return res.json(stats);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route for purging the catalog cache, optionally only keys starting with ?prefix=
+router.delete('/cache', async (req, res, next) => {
+  try {
+    const purged = await catalogCache.purge(req.query.prefix || '');
+    return res.json({ purged });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
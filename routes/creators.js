@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../services/providers');
+const { catalogType } = require('../services/mediaTypes');
+const httpError = require('../services/httpError');
+
+const CREATOR_KINDS = ['person', 'studio'];
+
+// Works listed per drill-down unless the client asks for another count
+const DEFAULT_WORKS = 12;
+const MAX_WORKS = 25;
+
+// Route for a creator's drill-down view: GET /api/creators/person/1879?mediaType=manga
+router.get('/:kind/:id', async (req, res, next) => {
+  try {
+    const { kind, id } = req.params;
+    const { mediaType = 'manga', provider: providerName, sfw } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_WORKS, MAX_WORKS);
+    
+    if (!CREATOR_KINDS.includes(kind)) {
+      throw httpError(400, `Unknown creator kind "${kind}". Use one of: ${CREATOR_KINDS.join(', ')}`);
+    }
+    if (!(Number(id) > 0)) {
+      throw httpError(400, 'Creator id must be a positive number');
+    }
+    
+    const provider = getProvider(providerName);
+    const catalog = catalogType(mediaType);
+    const { creator, works } = await provider.getCreator(kind, Number(id), { mediaType: catalog, limit, sfw: sfw !== 'false' });
+    
+    // Works from people's lists are stubs, so fill in the details the cards show
+    const cards = await Promise.all(works.slice(0, limit).map(async work => {
+      try {
+        const item = Array.isArray(work.item.genres) ? work.item : await provider.getDetails(catalog, work.item.id);
+        
+        return {
+          ...item,
+          role: work.role,
+          whyRecommended: kind === 'studio' ? `Animated by ${creator.name}` : `${work.role} by ${creator.name}`
+        };
+      } catch (error) {
+        if (error.code === 'ERR_CANCELED') {
+          throw error;
+        }
+        
+        console.error(`Error fetching details for ${work.item.title}:`, error.message);
+        return null;
+      }
+    }));
+    
+    return res.json({
+      creator,
+      mediaType: catalog,
+      works: cards.filter(card => card && !(sfw !== 'false' && card.nsfw))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
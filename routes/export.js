@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { exportItems } = require('../services/exporter');
+const { getPermalink } = require('../services/permalinks');
+const httpError = require('../services/httpError');
+
+function sendExport(res, items, mediaType, format, name) {
+  const file = exportItems(items, mediaType, format);
+  
+  res.set('Content-Type', file.contentType);
+  res.attachment(`${name}.${file.extension}`);
+  return res.send(file.body);
+}
+
+// Route for downloading a saved result set: GET /api/export/:permalinkId?format=csv|json|xml|ics
+router.get('/:id', (req, res, next) => {
+  try {
+    const { result } = getPermalink(req.params.id);
+    const items = [...result.adaptations, ...result.recommendations];
+    
+    return sendExport(res, items, result.mediaType, req.query.format || 'json', `recommendations-${req.params.id}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route for downloading any list of items the client holds, e.g. a watchlist: POST /api/export?format=xml
+router.post('/', (req, res, next) => {
+  try {
+    const { items, mediaType = 'manga' } = req.body;
+    
+    if (!Array.isArray(items) || items.some(item => !item || typeof item.title !== 'string')) {
+      throw httpError(400, 'Please provide the items to export, each with at least a title');
+    }
+    
+    return sendExport(res, items, mediaType, req.query.format || 'json', `${mediaType}-list`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
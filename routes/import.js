@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const { importList } = require('../services/listImport');
+
+// Route for importing a MyAnimeList or AniList export; the file is sent as the raw request body
+router.post('/', express.raw({ type: () => true, limit: '20mb' }), (req, res, next) => {
+  try {
+    const list = importList(req.body);
+    
+    if (list.seeds.length === 0) {
+      return res.status(422).json({ error: 'No completed entries found in this list' });
+    }
+    
+    return res.json(list);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { MEDIA_TYPES } = require('../services/mediaTypes');
+
+// Route for the media type registry the front-end builds its tabs, labels and card stats from: GET /api/media-types
+router.get('/', (req, res) => {
+  res.json({ mediaTypes: MEDIA_TYPES });
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const router = express.Router();
+const { getPermalink } = require('../services/permalinks');
+const { MEDIA_TYPES } = require('../services/mediaTypes');
+
+const pageTemplate = fs.readFileSync(path.join(__dirname, '..', 'public', 'index.html'), 'utf8');
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Open Graph and Twitter card tags so shared links unfurl with the seeds and the first poster
+function metaTags(entry, url) {
+  const { baseTitle, mediaType, recommendations, adaptations } = entry.result;
+  const cards = [...adaptations, ...recommendations];
+  const title = `${MEDIA_TYPES[mediaType]?.label || mediaType} recommendations for fans of ${[].concat(baseTitle).join(', ')}`;
+  const description = `Includes ${cards.slice(0, 3).map(item => item.title).join(', ')}${cards.length > 3 ? ` and ${cards.length - 3} more` : ''}`;
+  const image = cards.find(item => item.image)?.image;
+  
+  const tags = [
+    ['property', 'og:type', 'website'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ];
+  
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    ...tags
+      .filter(([, , content]) => content)
+      .map(([attribute, name, content]) => `<meta ${attribute}="${name}" content="${escapeHtml(content)}">`)
+  ].join('\n    ');
+}
+
+// The saved run goes into the page as JSON for the front-end to render; "<" is escaped so it can't end the script
+function dataScript(data) {
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return `<script id="permalinkData" type="application/json">${json}</script>`;
+}
+
+// Route for a shared result page: the usual app with the saved cards already filled in
+router.get('/r/:id', (req, res) => {
+  let entry;
+  
+  try {
+    entry = getPermalink(req.params.id);
+  } catch (error) {
+    // Still serve the app, so the visitor sees the message and can run their own search
+    const page = pageTemplate.replace('</head>', `    ${dataScript({ error: error.message })}\n</head>`);
+    return res.status(error.status || 500).send(page);
+  }
+  
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+  const page = pageTemplate
+    .replace(/<title>.*<\/title>/, metaTags(entry, url))
+    .replace('</head>', `    ${dataScript(entry)}\n</head>`);
+  
+  return res.send(page);
+});
+
+// Route for the JSON behind a shared result page
+router.get('/api/permalinks/:id', (req, res, next) => {
+  try {
+    return res.json(getPermalink(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
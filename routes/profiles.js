@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const profiles = require('../services/profiles');
+const { catalogType } = require('../services/mediaTypes');
+
+// Route for creating a new profile
+router.post('/', (req, res, next) => {
+  try {
+    const profile = profiles.createProfile(req.body.name);
+    return res.status(201).json(profile);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route for reading a profile with its history and feedback
+router.get('/:id', (req, res, next) => {
+  try {
+    return res.json(profiles.getProfile(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Route for marking an item as seen, loved or not interested (status null clears it)
+router.post('/:id/feedback', (req, res, next) => {
+  try {
+    const { mediaType = 'manga', malId, title, genres, status } = req.body;
+    
+    const feedback = profiles.setFeedback(req.params.id, {
+      catalog: catalogType(mediaType),
+      malId,
+      title,
+      genres,
+      status
+    });
+    
+    return res.json({ feedback });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { getProvider } = require('../services/providers');
+const { getRecommendations } = require('../services/recommender');
+const { currentContext, responseMeta } = require('../services/requestContext');
+const { validate } = require('../services/schemas');
+const { recommendLimits } = require('../services/clientLimits');
+const { getProfile, recordRequest } = require('../services/profiles');
+const { createPermalink, appendToPermalink } = require('../services/permalinks');
+
+// Validate a recommendation request, run it and record it in the user's profile
+async function recommend(body) {
+  const {
+    titles, participants, preferences, genres, exclude, filters, excludeIds, mediaType = 'manga', targetType, mode, season,
+    exploration, provider, profileId, limit, cursor, permalinkId
+  } = validate('RecommendRequest', body);
+  
+  const profile = profileId ? getProfile(profileId) : null;
+  
+  const result = await getRecommendations(getProvider(provider), {
+    titles, participants, preferences, genres, exclude, filters, excludeIds, mediaType, targetType, mode, season, exploration,
+    profile, limit, cursor
+  });
+  
+  // "Load more" pages continue a request that is already in the history and its shared link
+  if (profile && !cursor) {
+    recordRequest(profile.id, { mediaType, targetType }, result);
+  }
+  
+  if (!cursor) {
+    const hasCards = result.recommendations.length > 0 || (result.adaptations || []).length > 0;
+    result.permalinkId = hasCards ? createPermalink(result) : null;
+  } else if (permalinkId) {
+    appendToPermalink(permalinkId, result.recommendations);
+    result.permalinkId = permalinkId;
+  }
+  
+  return { ...result, meta: responseMeta() };
+}
+
+// The /group endpoints take `participants`, each with their own titles, in place of `titles`
+function requestBody(req) {
+  return req.path.startsWith('/recommend/group') ? { ...req.body, mode: 'group' } : req.body;
+}
+
+/**
+ * Routes for recommendations, mounted both under /api and /api/v1.
+ * `errorBody` turns an error into the response body of the API they're mounted in.
+ */
+function createRecommendRoutes(errorBody) {
+  const router = express.Router();
+  
+  router.post(['/recommend', '/recommend/group'], recommendLimits, async (req, res) => {
+    try {
+      return res.json(await recommend(requestBody(req)));
+    
+    } catch (error) {
+      // The client went away, so there's nobody left to answer
+      if (error.code === 'ERR_CANCELED') {
+        return;
+      }
+      
+      if (!error.status) {
+        console.error('Server error:', error);
+      }
+      
+      return res.status(error.status || 500).json(errorBody(error));
+    }
+  });
+  
+  // Streaming version of /recommend: Server-Sent Events with progress, each card as it's ready,
+  // then `done` carrying the same body /recommend would answer with (or `error` with its status)
+  router.post(['/recommend/stream', '/recommend/group/stream'], recommendLimits, async (req, res) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    
+    currentContext().onProgress = send;
+    
+    try {
+      send('done', await recommend(requestBody(req)));
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        return;
+      }
+      
+      if (!error.status) {
+        console.error('Server error:', error);
+      }
+      
+      send('error', { status: error.status || 500, ...errorBody(error) });
+    }
+    
+    res.end();
+  });
+  
+  return router;
+}
+
+module.exports = {
+  createRecommendRoutes
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { getProvider } = require('../services/providers');
+const { getMediaType, catalogType } = require('../services/mediaTypes');
+const httpError = require('../services/httpError');
+
+// Most suggestions the typeahead asks for at once
+const MAX_SEARCH_RESULTS = 10;
+
+// Route for title autocomplete: GET /api/search?q=berserk&mediaType=manga&limit=8
+router.get('/', async (req, res, next) => {
+  try {
+    const { q, mediaType = 'manga', provider, sfw } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), MAX_SEARCH_RESULTS);
+    
+    // A repeated ?q= arrives as an array
+    if (typeof q !== 'string' || q.trim().length < 2) {
+      throw httpError(400, 'Please provide a search query of at least 2 characters');
+    }
+    
+    const results = await getProvider(provider).search(catalogType(mediaType), q.trim(), {
+      limit,
+      format: getMediaType(mediaType).format,
+      sfw: sfw !== 'false'
+    });
+    
+    return res.json({
+      results: results.map(item => ({
+        id: item.id,
+        malId: item.malId,
+        title: item.title,
+        titleEnglish: item.titleEnglish,
+        titleJapanese: item.titleJapanese,
+        type: item.type,
+        year: item.year,
+        image: item.image
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
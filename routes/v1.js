@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const httpError = require('../services/httpError');
+const { apiKeyMiddleware } = require('../services/apiKeys');
+const { openApiDocument } = require('../services/openapi');
+const { createRecommendRoutes } = require('./recommend');
+const searchRoutes = require('./search');
+const mediaTypeRoutes = require('./mediaTypes');
+
+// Machine-readable codes for the statuses the API answers with
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  404: 'not_found',
+  413: 'payload_too_large',
+  429: 'too_many_requests',
+  502: 'upstream_error',
+  503: 'unavailable'
+};
+
+// Every /api/v1 error looks like { error: { status, code, message, details? } }
+function errorEnvelope(error) {
+  const status = error.status || 500;
+  
+  return {
+    error: {
+      status,
+      code: ERROR_CODES[status] || (status >= 500 ? 'internal_error' : 'error'),
+      message: error.status ? error.message : 'Something went wrong',
+      ...(error.details ? { details: error.details } : {})
+    }
+  };
+}
+
+// The API's OpenAPI document, readable without a key: GET /api/v1/openapi.json
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument());
+});
+
+router.use(apiKeyMiddleware);
+router.use(express.json({ limit: config.limits.bodySize }));
+router.use(createRecommendRoutes(errorEnvelope));
+router.use('/search', searchRoutes);
+router.use('/media-types', mediaTypeRoutes);
+
+router.use((req, res, next) => {
+  next(httpError(404, `No API route for ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+router.use((error, req, res, next) => {
+  if (error.code === 'ERR_CANCELED') {
+    return;
+  }
+  
+  if (!error.status) {
+    console.error('Server error:', error);
+  }
+  
+  return res.status(error.status || 500).json(errorEnvelope(error));
+});
+
+module.exports = router;
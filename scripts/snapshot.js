@@ -0,0 +1,97 @@
+// Pre-warm the offline snapshot from the top anime and manga:
+//   npm run snapshot -- --top 100 --provider jikan --recommended 5 --dir ./data/snapshot
+// Serve from it afterwards with SNAPSHOT_MODE=replay (and SNAPSHOT_DIR if --dir was given)
+const config = require('../config');
+const { catalogProviders } = require('../services/providers');
+const { createSnapshot, withSnapshot } = require('../services/snapshot');
+
+// Jikan and AniList both page their top lists 25 at a time
+const PAGE_SIZE = 25;
+
+function parseArgs(argv) {
+  const options = { top: 50, provider: config.catalogProvider, recommended: 5, dir: config.snapshot.directory };
+  
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}". Use --top, --provider, --recommended or --dir`);
+    }
+    
+    options[name] = typeof options[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  
+  if (!catalogProviders[options.provider]) {
+    throw new Error(`Unknown catalog provider "${options.provider}". Use one of: ${Object.keys(catalogProviders).join(', ')}`);
+  }
+  
+  return options;
+}
+
+// Record a call, but keep going when one entry fails
+async function attempt(label, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`Error recording ${label}:`, error.message);
+    return null;
+  }
+}
+
+async function recordCatalog(provider, catalog, { top, recommended }) {
+  const items = new Map();
+  
+  for (let page = 1; items.size < top; page++) {
+    const results = await attempt(`top ${catalog} page ${page}`, () => provider.getTop(catalog, { limit: PAGE_SIZE, page, sfw: true }));
+    const before = items.size;
+    
+    (results || []).forEach(item => items.set(item.id, item));
+    
+    // Stop at the end of the list, or once pages only repeat entries already seen
+    if (items.size === before) {
+      break;
+    }
+  }
+  
+  const entries = [...items.values()].slice(0, top);
+  const seen = new Set(entries.map(item => item.id));
+  
+  for (const [index, item] of entries.entries()) {
+    console.log(`[${catalog} ${index + 1}/${entries.length}] ${item.title}`);
+    
+    await attempt(item.title, () => provider.getDetails(catalog, item.id));
+    await attempt(`relations of ${item.title}`, () => provider.getRelations(catalog, item.id));
+    await attempt(`credits of ${item.title}`, () => provider.getCredits(catalog, item.id));
+    const recs = await attempt(`recommendations for ${item.title}`, () => provider.getRecommendations(catalog, item.id)) || [];
+    
+    // Details of the strongest recommendations, so they can be ranked and shown offline too
+    for (const rec of recs.slice(0, recommended)) {
+      if (!seen.has(rec.item.id)) {
+        seen.add(rec.item.id);
+        await attempt(rec.item.title, () => provider.getDetails(catalog, rec.item.id));
+      }
+    }
+  }
+  
+  return seen.size;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const snapshot = createSnapshot({ mode: 'record', directory: options.dir });
+  const provider = withSnapshot(catalogProviders[options.provider], snapshot);
+  
+  console.log(`Recording the top ${options.top} anime and manga from ${options.provider} into ${options.dir}`);
+  
+  for (const catalog of ['anime', 'manga']) {
+    const count = await recordCatalog(provider, catalog, options);
+    console.log(`Recorded ${count} ${catalog} entries`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+const path = require('path');
+const config = require('../config');
+const httpError = require('./httpError');
+const { createJsonStore } = require('./jsonStore');
+
+// Each key's calls per UTC day, kept on disk so a restart doesn't reset the quotas
+const store = createJsonStore(path.join(config.dataDir, 'api-usage.json'), () => ({ usage: {} }));
+
+// "reports:k3y:5000,chatbot:s3cret" -> key -> { name, quota }; a quota of 0 means unlimited
+function parseKeys(spec) {
+  const keys = new Map();
+  
+  spec.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, key, quota] = entry.split(':');
+    
+    if (!name || !key || (quota !== undefined && !/^\d+$/.test(quota))) {
+      throw new Error(`Invalid API_KEYS entry "${entry}", expected name:key or name:key:requestsPerDay`);
+    }
+    
+    keys.set(key, { name, quota: quota === undefined ? config.api.dailyQuota : Number(quota) });
+  });
+  
+  return keys;
+}
+
+const keys = parseKeys(config.api.keys);
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Quotas start over at midnight UTC
+function nextReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+}
+
+// Count one call against a key's quota, answering 429 once the day's calls are used up
+function useQuota(res, { name, quota }) {
+  const { usage } = store.read();
+  const day = today();
+  
+  if (!usage[name] || usage[name].day !== day) {
+    usage[name] = { day, count: 0 };
+  }
+  
+  if (quota > 0) {
+    const reset = nextReset();
+    
+    res.set({
+      'X-RateLimit-Limit': String(quota),
+      'X-RateLimit-Remaining': String(Math.max(quota - usage[name].count - 1, 0)),
+      'X-RateLimit-Reset': String(Math.floor(reset.getTime() / 1000))
+    });
+    
+    if (usage[name].count >= quota) {
+      res.set('Retry-After', String(Math.ceil((reset.getTime() - Date.now()) / 1000)));
+      throw httpError(429, `The daily quota of ${quota} requests for API key "${name}" is used up`);
+    }
+  }
+  
+  usage[name].count++;
+  store.save();
+}
+
+/**
+ * Middleware for the versioned API: when keys are configured, every call needs a valid one
+ * in the X-API-Key header and counts against that key's daily quota. Without keys it lets everything through.
+ */
+function apiKeyMiddleware(req, res, next) {
+  if (keys.size === 0) {
+    return next();
+  }
+  
+  const apiKey = keys.get(req.get('X-API-Key'));
+  
+  if (!apiKey) {
+    return next(httpError(401, req.get('X-API-Key') ? 'Invalid API key' : 'This API needs a key in the X-API-Key header'));
+  }
+  
+  try {
+    useQuota(res, apiKey);
+  } catch (error) {
+    return next(error);
+  }
+  
+  req.apiKey = apiKey.name;
+  next();
+}
+
+// Whether the versioned API asks for keys, for the OpenAPI document
+function apiKeysRequired() {
+  return keys.size > 0;
+}
+
+module.exports = {
+  apiKeyMiddleware,
+  apiKeysRequired
+};
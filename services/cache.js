@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { currentContext } = require('./requestContext');
+
+/**
+ * Response cache for upstream catalog calls: an in-memory LRU backed by an
+ * optional directory of JSON files so entries survive restarts.
+ * Keys look like "<provider>:<ttlClass>:<request>" so they can be purged by prefix.
+ */
+function createCache({ maxEntries, directory, ttl }) {
+  const memory = new Map(); // Map keeps insertion order, which we use as recency order
+  const pending = new Map(); // In-flight loads, so identical concurrent calls share one request
+  const totals = { hits: 0, misses: 0 };
+  
+  function fileFor(key) {
+    return path.join(directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+  
+  function remember(key, record) {
+    memory.delete(key);
+    memory.set(key, record);
+    
+    // Evict the least recently used entry once we're over capacity
+    if (memory.size > maxEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  }
+  
+  async function readDisk(key) {
+    if (!directory) {
+      return null;
+    }
+    
+    try {
+      const record = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      return record.key === key ? record : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading cache entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+  
+  async function writeDisk(record) {
+    if (!directory) {
+      return;
+    }
+    
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(record.key), JSON.stringify(record));
+    } catch (error) {
+      console.error(`Error writing cache entry ${record.key}:`, error.message);
+    }
+  }
+  
+  async function get(key) {
+    let record = memory.get(key);
+    
+    if (!record) {
+      record = await readDisk(key);
+    }
+    
+    if (!record || record.expiresAt <= Date.now()) {
+      memory.delete(key);
+      return undefined;
+    }
+    
+    remember(key, record);
+    return record.value;
+  }
+  
+  async function set(key, value, ttlClass) {
+    const record = { key, value, expiresAt: Date.now() + ttl[ttlClass] * 1000 };
+    remember(key, record);
+    await writeDisk(record);
+  }
+  
+  function countLookup(hit) {
+    totals[hit ? 'hits' : 'misses']++;
+    
+    // Also count against the current request so it can be reported in the response
+    const context = currentContext();
+    if (context) {
+      context.cache[hit ? 'hits' : 'misses']++;
+    }
+  }
+  
+  // Return the cached value for a key, or load it with `loadFn` and cache the result
+  async function wrap(key, ttlClass, loadFn) {
+    const cached = await get(key);
+    
+    if (cached !== undefined) {
+      countLookup(true);
+      return cached;
+    }
+    
+    if (pending.has(key)) {
+      countLookup(true);
+      
+      // If the request that started the load was cancelled, load it again ourselves
+      return pending.get(key).catch(error => {
+        if (error.code === 'ERR_CANCELED' && !currentContext()?.signal?.aborted) {
+          return wrap(key, ttlClass, loadFn);
+        }
+        throw error;
+      });
+    }
+    
+    countLookup(false);
+    
+    const load = (async () => {
+      try {
+        const value = await loadFn();
+        await set(key, value, ttlClass);
+        return value;
+      } finally {
+        pending.delete(key);
+      }
+    })();
+    
+    pending.set(key, load);
+    return load;
+  }
+  
+  async function diskKeys() {
+    if (!directory) {
+      return [];
+    }
+    
+    let files;
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      return [];
+    }
+    
+    const records = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => {
+        try {
+          const record = JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+          return { key: record.key, expiresAt: record.expiresAt, file };
+        } catch (error) {
+          return null;
+        }
+      }));
+    
+    return records.filter(Boolean);
+  }
+  
+  async function stats({ includeKeys = false } = {}) {
+    const onDisk = await diskKeys();
+    const now = Date.now();
+    
+    const result = {
+      ...totals,
+      memoryEntries: memory.size,
+      maxEntries,
+      diskEntries: directory ? onDisk.length : null,
+      directory: directory || null,
+      ttl
+    };
+    
+    if (includeKeys) {
+      const keys = new Map();
+      [...memory.values(), ...onDisk].forEach(record => {
+        keys.set(record.key, { key: record.key, expiresIn: Math.round((record.expiresAt - now) / 1000) });
+      });
+      result.keys = [...keys.values()];
+    }
+    
+    return result;
+  }
+  
+  // Remove every entry whose key starts with `prefix` (everything if no prefix is given)
+  async function purge(prefix = '') {
+    const purged = new Set();
+    
+    for (const key of [...memory.keys()]) {
+      if (key.startsWith(prefix)) {
+        memory.delete(key);
+        purged.add(key);
+      }
+    }
+    
+    for (const record of await diskKeys()) {
+      if (record.key.startsWith(prefix)) {
+        await fs.unlink(path.join(directory, record.file)).catch(() => {});
+        purged.add(record.key);
+      }
+    }
+    
+    return purged.size;
+  }
+  
+  return {
+    get,
+    set,
+    wrap,
+    stats,
+    purge
+  };
+}
+
+module.exports = {
+  createCache
+};
@@ -0,0 +1,108 @@
+// iCalendar (.ics) feed of weekly broadcast slots for the anime in a result set
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Hours ahead of UTC for the broadcast time zones the catalogs report; none of them observe daylight saving time
+const TIMEZONE_OFFSETS = {
+  'Asia/Tokyo': 9
+};
+
+// Most TV anime run for one cour, so that's the default when the episode count isn't known yet
+const DEFAULT_EPISODES = 13;
+
+const EPISODE_MINUTES = 30;
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines that start with a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// First broadcast on or after the premiere (or the next one from `now`, if the premiere date isn't known), in UTC
+function firstBroadcast(item, offsetHours, now) {
+  const [hours, minutes] = item.broadcast.time.split(':').map(Number);
+  const weekday = WEEKDAYS.indexOf(item.broadcast.day);
+  
+  // Work in the broadcast zone's local time by shifting UTC, then shift back at the end
+  const from = item.startDate ? new Date(`${item.startDate}T00:00:00Z`) : new Date(now.getTime() + offsetHours * 3600 * 1000);
+  const start = new Date(from);
+  start.setUTCHours(hours, minutes, 0, 0);
+  start.setUTCDate(start.getUTCDate() + ((weekday - start.getUTCDay() + 7) % 7));
+  
+  // Today's slot may already be over, and then the next one is a week away
+  if (start < from) {
+    start.setUTCDate(start.getUTCDate() + 7);
+  }
+  
+  return new Date(start.getTime() - offsetHours * 3600 * 1000);
+}
+
+function eventLines(item, stamp, now) {
+  const offsetHours = TIMEZONE_OFFSETS[item.broadcast.timezone];
+  const start = firstBroadcast(item, offsetHours, now);
+  const slot = `${item.broadcast.day}s at ${item.broadcast.time} (${item.broadcast.timezone})`;
+  
+  return [
+    'BEGIN:VEVENT',
+    `UID:anime-${item.malId || item.id}@anime-manga-recommender`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DURATION:PT${EPISODE_MINUTES}M`,
+    `RRULE:FREQ=WEEKLY;COUNT=${item.episodes || DEFAULT_EPISODES}`,
+    `SUMMARY:${escapeText(item.title)}`,
+    `DESCRIPTION:${escapeText(`New episode ${slot}${item.url ? `\n${item.url}` : ''}`)}`,
+    ...(item.url ? [`URL:${item.url}`] : []),
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Build a calendar with one weekly recurring event per item that has a known broadcast slot.
+ * Items without one (movies, finished shows, unknown time zones) are left out.
+ */
+function toIcs(items, name = 'Anime picks', now = new Date()) {
+  const stamp = formatUtc(now);
+  const airing = items.filter(item =>
+    item.broadcast && WEEKDAYS.includes(item.broadcast.day) && TIMEZONE_OFFSETS[item.broadcast.timezone] !== undefined
+  );
+  
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Anime & Manga Recommender//Broadcast schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...airing.flatMap(item => eventLines(item, stamp, now)),
+    'END:VCALENDAR'
+  ];
+  
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  toIcs
+};
@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const httpError = require('./httpError');
+const { reportProgress } = require('./requestContext');
+const { itemSimilarity } = require('./similarity');
+
+// Built pools are kept for a while so "load more" pages come from the same ranking
+const POOL_TTL = 30 * 60 * 1000;
+const MAX_POOLS = 200;
+
+// Cap on detail lookups for one page, so a strict filter can't fan out over the whole pool
+const MAX_DETAIL_FETCHES_PER_PAGE = 30;
+
+// Points taken off a candidate per unit of genre/theme overlap with the cards just ranked above it,
+// and how many of those cards it's compared to (about a page's worth)
+const DIVERSITY_PENALTY = 20;
+const DIVERSITY_WINDOW = 5;
+
+const pools = new Map();
+
+// Stable key for the request fields that decide what goes into a pool
+function poolKey(fields) {
+  return crypto.createHash('sha1').update(JSON.stringify(fields)).digest('hex').slice(0, 16);
+}
+
+function loadPool(key) {
+  const entry = pools.get(key);
+  
+  if (!entry || entry.expiresAt <= Date.now()) {
+    pools.delete(key);
+    return null;
+  }
+  
+  return entry.value;
+}
+
+function savePool(key, value) {
+  pools.delete(key);
+  pools.set(key, { value, expiresAt: Date.now() + POOL_TTL });
+  
+  // Drop the oldest pool once we're over capacity
+  if (pools.size > MAX_POOLS) {
+    pools.delete(pools.keys().next().value);
+  }
+}
+
+// Cursors point at a position in a specific pool
+function encodeCursor(key, offset) {
+  return Buffer.from(JSON.stringify({ k: key, o: offset })).toString('base64')
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { k, o } = JSON.parse(Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    
+    if (typeof k !== 'string' || !Number.isInteger(o) || o < 0) {
+      throw new Error('Malformed cursor');
+    }
+    
+    return { key: k, offset: o };
+  } catch (error) {
+    throw httpError(400, 'Invalid cursor');
+  }
+}
+
+/**
+ * A pool is the ranked list of candidates for one request. Candidates look like
+ * { item, detailed, similarTo, whyRecommended, votes, blendedVotes, matchType }, where `item` may only
+ * be a stub (id, title, image) until its page is requested. `stages` are functions that
+ * append more candidates (the genre and top-list fallbacks); they only run once a page needs them.
+ * Once ranked, `score` (see similarity.js) rates detailed items and explains each card.
+ * `groups` maps each group key hydratePage has seen to the id of the card that represents it.
+ */
+function createPool(catalog, candidates = [], stages = []) {
+  const pool = { catalog, candidates: [], seen: new Set(), stages: [...stages], score: null, groups: new Map() };
+  addCandidates(pool, candidates);
+  return pool;
+}
+
+function scoreCandidate(pool, item, candidate) {
+  return pool.score ? pool.score(item, candidate) : null;
+}
+
+// Highest score first, except that a candidate much like the ones just above it gives way to a different one,
+// so a page isn't five near-identical titles; ties keep their vote order
+function rankByScore(pool, candidates) {
+  const remaining = candidates.map(candidate => ({ candidate, total: scoreCandidate(pool, candidate.item, candidate).total }));
+  const ranked = [];
+  
+  while (remaining.length > 0) {
+    const recent = ranked.slice(-DIVERSITY_WINDOW).map(candidate => candidate.item);
+    let best = 0;
+    let bestValue = -Infinity;
+    
+    remaining.forEach((entry, index) => {
+      const redundancy = Math.max(0, ...recent.map(item => itemSimilarity(entry.candidate.item, item)));
+      const value = entry.total - DIVERSITY_PENALTY * redundancy;
+      
+      if (value > bestValue) {
+        best = index;
+        bestValue = value;
+      }
+    });
+    
+    ranked.push(remaining.splice(best, 1)[0].candidate);
+  }
+  
+  return ranked;
+}
+
+/**
+ * Fetch details for the first `depth` candidates and reorder them by score, so the first
+ * pages follow the content-based ranking. Candidates further down keep their vote order.
+ * `buildScorer` gets the detailed head items (the corpus for text similarity) and returns the pool's score function.
+ */
+async function rerankHead(provider, pool, depth, buildScorer) {
+  const head = pool.candidates.slice(0, depth);
+  const toFetch = head.filter(c => !c.detailed).length;
+  let fetched = 0;
+  
+  await Promise.all(head.map(async candidate => {
+    if (candidate.detailed) {
+      return;
+    }
+    
+    try {
+      candidate.item = await provider.getDetails(pool.catalog, candidate.item.id);
+      candidate.detailed = true;
+      reportProgress('detail', { phase: 'ranking', fetched: ++fetched, total: toFetch, title: candidate.item.title });
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      // Ranked on votes alone; the page request will try the details again
+      console.error(`Error fetching details for ${candidate.item.title}:`, error.message);
+    }
+  }));
+  
+  pool.score = buildScorer(head.filter(c => c.detailed).map(c => c.item));
+  pool.candidates.splice(0, head.length, ...rankByScore(pool, head));
+}
+
+// Entries are told apart by MyAnimeList id, so the same title reached through different sources is one candidate
+function candidateKey(item) {
+  return item.malId ? `mal:${item.malId}` : `id:${item.id}`;
+}
+
+// Append candidates, keeping only the first copy of each entry
+function addCandidates(pool, candidates) {
+  // Fallback stages hand in detailed items, so they can be ranked right away
+  const ranked = pool.score && candidates.every(c => c.detailed) ? rankByScore(pool, candidates) : candidates;
+  
+  ranked.forEach(candidate => {
+    const key = candidateKey(candidate.item);
+    
+    if (!pool.seen.has(key)) {
+      pool.seen.add(key);
+      pool.candidates.push(candidate);
+    }
+  });
+}
+
+// Fetch full details for a candidate and turn it into a card
+async function hydrate(provider, pool, candidate) {
+  try {
+    const item = candidate.detailed ? candidate.item : await provider.getDetails(pool.catalog, candidate.item.id);
+    const breakdown = scoreCandidate(pool, item, candidate);
+    
+    const card = {
+      ...item,
+      similarTo: candidate.similarTo,
+      whyRecommended: candidate.whyRecommended
+    };
+    
+    if (breakdown) {
+      card.matchScore = breakdown.total;
+      card.scoreBreakdown = breakdown;
+      card.whyRecommended = breakdown.reasons.join('. ') || candidate.whyRecommended;
+    }
+    if (candidate.matchType) {
+      card.matchType = candidate.matchType;
+    }
+    
+    return card;
+  } catch (error) {
+    if (error.code === 'ERR_CANCELED') {
+      throw error;
+    }
+    
+    console.error(`Error fetching details for ${candidate.item.title}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Build one page of cards starting at `offset`, skipping candidates `accept` rejects.
+ * With `group` (an async function returning a key for a card, e.g. its franchise), only the
+ * highest-ranked card of each group is kept, on this page and every later one.
+ * Returns the cards and the offset of the next page (null when the pool is used up).
+ */
+async function hydratePage(provider, pool, { offset, limit, accept, group }) {
+  const page = [];
+  let position = offset;
+  let fetches = 0;
+  let checked = 0;
+  
+  while (page.length < limit && fetches < MAX_DETAIL_FETCHES_PER_PAGE) {
+    if (position >= pool.candidates.length) {
+      if (pool.stages.length === 0) {
+        break;
+      }
+      
+      const stage = pool.stages.shift();
+      
+      try {
+        addCandidates(pool, await stage());
+      } catch (error) {
+        // Leave the stage for the next page request to retry
+        pool.stages.unshift(stage);
+        throw error;
+      }
+      continue;
+    }
+    
+    const batch = pool.candidates.slice(position, position + limit - page.length);
+    position += batch.length;
+    fetches += batch.filter(c => !c.detailed).length;
+    
+    const cards = await Promise.all(batch.map(async candidate => {
+      const card = await hydrate(provider, pool, candidate);
+      reportProgress('detail', { phase: 'page', fetched: ++checked, total: position - offset, title: candidate.item.title });
+      
+      if (card === null || !accept(card)) {
+        return null;
+      }
+      
+      if (group) {
+        // Grouped cards are streamed below, once it's known which one of a group ranks first
+        return { card, key: await group(card) };
+      }
+      
+      // Streaming clients get each card as soon as it's ready
+      reportProgress('card', card);
+      return { card, key: null };
+    }));
+    
+    cards.filter(entry => entry !== null).forEach(({ card, key }) => {
+      if (key !== null) {
+        // Rebuilding the same page (e.g. the same request again) keeps the card that claimed the group
+        if (pool.groups.has(key) && pool.groups.get(key) !== card.id) {
+          return;
+        }
+        
+        pool.groups.set(key, card.id);
+        reportProgress('card', card);
+      }
+      
+      page.push(card);
+    });
+  }
+  
+  const hasMore = position < pool.candidates.length || pool.stages.length > 0;
+  
+  return {
+    items: page,
+    nextOffset: hasMore ? position : null
+  };
+}
+
+module.exports = {
+  poolKey,
+  loadPool,
+  savePool,
+  encodeCursor,
+  decodeCursor,
+  createPool,
+  rerankHead,
+  hydratePage
+};
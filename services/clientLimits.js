@@ -0,0 +1,86 @@
+const config = require('../config');
+const httpError = require('./httpError');
+
+// Past this many tracked clients, the ones whose window has run out are forgotten
+const MAX_TRACKED_CLIENTS = 1000;
+
+// Request counts for the current window and jobs in flight, per client
+const windows = new Map();
+const running = new Map();
+
+// Callers with an API key are counted by key, everyone else by address
+function clientOf(req) {
+  return req.apiKey
+    ? { id: `key:${req.apiKey}`, limit: config.limits.perKey }
+    : { id: `ip:${req.ip}`, limit: config.limits.perIp };
+}
+
+// Count a request in its client's fixed window, answering 429 past the limit
+function countRequest(res, { id, limit }) {
+  const now = Date.now();
+  const windowMs = config.limits.window * 1000;
+  let entry = windows.get(id);
+  
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + windowMs };
+    windows.set(id, entry);
+  }
+  
+  if (entry.count >= limit) {
+    res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+    throw httpError(429, `Too many requests: at most ${limit} every ${config.limits.window} seconds. Try again shortly`);
+  }
+  
+  entry.count++;
+  
+  // So the map doesn't grow with every address ever seen
+  if (windows.size > MAX_TRACKED_CLIENTS) {
+    windows.forEach((other, otherId) => {
+      if (other.resetAt <= now) {
+        windows.delete(otherId);
+      }
+    });
+  }
+}
+
+// Hold one of the client's job slots until the response is finished or abandoned
+function startJob(res, { id }) {
+  const jobs = running.get(id) || 0;
+  
+  if (jobs >= config.limits.concurrentJobs) {
+    throw httpError(429, `You already have ${jobs} recommendation request${jobs === 1 ? '' : 's'} running. Wait for one to finish`);
+  }
+  
+  running.set(id, jobs + 1);
+  
+  res.on('close', () => {
+    const left = running.get(id) - 1;
+    
+    if (left > 0) {
+      running.set(id, left);
+    } else {
+      running.delete(id);
+    }
+  });
+}
+
+/**
+ * Middleware for the recommend endpoints: limits how often each client may call them
+ * and how many of its requests may run at once (see `config.limits`).
+ */
+function recommendLimits(req, res, next) {
+  const client = clientOf(req);
+  
+  try {
+    countRequest(res, client);
+    startJob(res, client);
+  } catch (error) {
+    return next(error);
+  }
+  
+  next();
+}
+
+module.exports = {
+  recommendLimits
+};
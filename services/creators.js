@@ -0,0 +1,46 @@
+// Credits (authors, studios and key staff) and how to explain a shared one
+
+// Staff roles worth following to other works; episode-level and minor credits are left out
+const KEY_ROLES = /^(original creator|original story|story & art|story|art|author|director|series composition|script|character design|music)$/i;
+
+// Phrases for a shared person, by their role on the seed, first match wins
+const ROLE_PHRASES = [
+  [/original creator|original story/i, 'From the original creator of'],
+  [/^art$/i, 'Same artist as'],
+  [/story|author/i, 'Same mangaka as'],
+  [/director/i, 'Same director as'],
+  [/series composition|script/i, 'Same writer as'],
+  [/character design/i, 'Same character designer as'],
+  [/music/i, 'Same composer as']
+];
+
+// The first key role in a credit like "Director, Storyboard" or "Music (eps 1-12)"
+function keyRole(role) {
+  return (role || '')
+    .split(/,\s*/)
+    .map(part => part.replace(/\s*\(.*\)$/, '').trim())
+    .find(part => KEY_ROLES.test(part)) || null;
+}
+
+// Keep a seed's studios and the staff in key roles, with the role trimmed to the key part
+function keyCredits(credits) {
+  return credits
+    .filter(credit => credit.kind === 'studio' || keyRole(credit.role))
+    .map(credit => credit.kind === 'studio' ? credit : { ...credit, role: keyRole(credit.role) });
+}
+
+// e.g. "Same mangaka as Chainsaw Man (Tatsuki Fujimoto)" or "Animated by MAPPA, like Jujutsu Kaisen"
+function creditReason(credit, seedTitle) {
+  if (credit.kind === 'studio') {
+    return `Animated by ${credit.name}, like ${seedTitle}`;
+  }
+  
+  const phrase = ROLE_PHRASES.find(([pattern]) => pattern.test(credit.role || ''));
+  return phrase ? `${phrase[1]} ${seedTitle} (${credit.name})` : `${credit.name} also worked on ${seedTitle}`;
+}
+
+module.exports = {
+  keyRole,
+  keyCredits,
+  creditReason
+};
@@ -0,0 +1,126 @@
+const { XMLBuilder } = require('fast-xml-parser');
+const httpError = require('./httpError');
+const { toIcs } = require('./calendar');
+const { MEDIA_TYPES, catalogType } = require('./mediaTypes');
+
+const EXPORT_FORMATS = ['csv', 'json', 'xml', 'ics'];
+
+// MyAnimeList's list import only knows these two export types
+const MAL_EXPORT_TYPES = {
+  anime: { exportType: 1, entry: 'anime', idTag: 'series_animedb_id', titleTag: 'series_title', status: 'Plan to Watch' },
+  manga: { exportType: 2, entry: 'manga', idTag: 'manga_mangadb_id', titleTag: 'manga_title', status: 'Plan to Read' }
+};
+
+// Where MyAnimeList's XML keeps each length the registry counts in
+const MAL_LENGTH_TAGS = {
+  episodes: 'series_episodes',
+  chapters: 'manga_chapters',
+  volumes: 'manga_volumes'
+};
+
+// The item field a media type's length is counted in, e.g. volumes for light novels
+function lengthField(mediaType) {
+  return (MEDIA_TYPES[mediaType] || MEDIA_TYPES[catalogType(mediaType)]).length.field;
+}
+
+// The fields worth carrying into a tracker, taken from the normalized item shape
+function exportFields(item, mediaType) {
+  const length = lengthField(mediaType);
+  
+  return {
+    title: item.title,
+    mal_id: item.malId || null,
+    url: item.url || null,
+    type: item.type || null,
+    score: item.score ?? null,
+    [length]: item[length] ?? null
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, mediaType) {
+  const columns = Object.keys(exportFields({}, mediaType));
+  
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(csvValue).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// MyAnimeList import XML with every entry set to plan-to-watch/plan-to-read; entries without a MAL id are left out
+function toMalXml(rows, mediaType) {
+  const catalog = catalogType(mediaType);
+  const malType = MAL_EXPORT_TYPES[catalog];
+  const length = lengthField(mediaType);
+  
+  const entries = rows
+    .filter(row => row.mal_id)
+    .map(row => {
+      const entry = {
+        [malType.idTag]: row.mal_id,
+        [malType.titleTag]: row.title
+      };
+      
+      if (catalog === 'anime') {
+        entry.series_type = row.type || '';
+      }
+      
+      entry[MAL_LENGTH_TAGS[length]] = row[length] || 0;
+      entry.my_status = malType.status;
+      entry.update_on_import = 1;
+      
+      return entry;
+    });
+  
+  const builder = new XMLBuilder({ format: true, ignoreAttributes: false });
+  
+  return builder.build({
+    '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+    myanimelist: {
+      myinfo: {
+        user_export_type: malType.exportType,
+        [`user_total_${catalog}`]: entries.length
+      },
+      [malType.entry]: entries
+    }
+  });
+}
+
+/**
+ * Turn a list of items of one media type (see mediaTypes.js) into a downloadable file.
+ * Returns { body, contentType, extension }.
+ */
+function exportItems(items, mediaType, format) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw httpError(400, `Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  
+  // Calendars need the broadcast slots, which the tracker fields leave out
+  if (format === 'ics') {
+    return { body: toIcs(items), contentType: 'text/calendar; charset=utf-8', extension: 'ics' };
+  }
+  
+  const rows = items.map(item => exportFields(item, mediaType));
+  
+  if (format === 'csv') {
+    return { body: toCsv(rows, mediaType), contentType: 'text/csv; charset=utf-8', extension: 'csv' };
+  }
+  
+  if (format === 'xml') {
+    return { body: toMalXml(rows, mediaType), contentType: 'application/xml; charset=utf-8', extension: 'xml' };
+  }
+  
+  return { body: JSON.stringify(rows, null, 2), contentType: 'application/json; charset=utf-8', extension: 'json' };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportItems
+};
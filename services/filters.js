@@ -0,0 +1,133 @@
+const httpError = require('./httpError');
+
+// Statuses the providers normalize to, whatever the catalog calls them
+const STATUSES = ['finished', 'ongoing', 'upcoming', 'hiatus', 'cancelled'];
+
+function lowerList(value, field) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string')) {
+    throw httpError(400, `filters.${field} must be a list of names`);
+  }
+  
+  return value.map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+function optionalNumber(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const number = Number(value);
+  
+  if (!Number.isFinite(number) || number < 0) {
+    throw httpError(400, `filters.${field} must be a positive number`);
+  }
+  
+  return number;
+}
+
+/**
+ * Validate the request's `filters` object and fold in the older top-level `genres` and `exclude`.
+ * Every field is optional; `sfw` is on unless the request turns it off explicitly.
+ */
+function normalizeFilters({ filters = {}, genres, exclude } = {}) {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw httpError(400, 'filters must be an object');
+  }
+  
+  const status = lowerList(filters.status, 'status');
+  const unknownStatus = status.find(s => !STATUSES.includes(s));
+  
+  if (unknownStatus) {
+    throw httpError(400, `Unknown status "${unknownStatus}", expected one of: ${STATUSES.join(', ')}`);
+  }
+  
+  const normalized = {
+    genres: lowerList(genres, 'genres'),
+    exclude: lowerList(exclude, 'exclude'),
+    themes: lowerList(filters.themes, 'themes'),
+    demographics: lowerList(filters.demographics, 'demographics'),
+    status,
+    minScore: optionalNumber(filters.minScore, 'minScore'),
+    yearFrom: optionalNumber(filters.yearFrom, 'yearFrom'),
+    yearTo: optionalNumber(filters.yearTo, 'yearTo'),
+    minLength: optionalNumber(filters.minLength, 'minLength'),
+    maxLength: optionalNumber(filters.maxLength, 'maxLength'),
+    sfw: filters.sfw !== false
+  };
+  
+  if (normalized.yearFrom !== null && normalized.yearTo !== null && normalized.yearFrom > normalized.yearTo) {
+    throw httpError(400, 'filters.yearFrom must not be after filters.yearTo');
+  }
+  
+  if (normalized.minLength !== null && normalized.maxLength !== null && normalized.minLength > normalized.maxLength) {
+    throw httpError(400, 'filters.minLength must not be more than filters.maxLength');
+  }
+  
+  return normalized;
+}
+
+function names(list) {
+  return (list || []).map(name => name.toLowerCase());
+}
+
+/**
+ * Check a detailed item against normalized filters, with its length read from `lengthField`
+ * ("episodes", "chapters" or "volumes", see mediaTypes.js).
+ * Entries without a year or length (often ones still running) aren't ruled out by those ranges,
+ * but an entry without a score never passes a score floor.
+ */
+function matchesFilters(item, filters, lengthField) {
+  const itemGenres = names(item.genres);
+  const itemThemes = names(item.themes);
+  const itemDemographics = names(item.demographics);
+  const length = item[lengthField];
+  
+  if (filters.sfw && item.nsfw) {
+    return false;
+  }
+  
+  if (filters.genres.length > 0 && !filters.genres.some(g => itemGenres.includes(g))) {
+    return false;
+  }
+  
+  // Excluded names are checked against genres, themes and demographics alike
+  if (filters.exclude.some(g => itemGenres.includes(g) || itemThemes.includes(g) || itemDemographics.includes(g))) {
+    return false;
+  }
+  
+  if (filters.themes.length > 0 && !filters.themes.some(t => itemThemes.includes(t))) {
+    return false;
+  }
+  
+  if (filters.demographics.length > 0 && !filters.demographics.some(d => itemDemographics.includes(d))) {
+    return false;
+  }
+  
+  if (filters.status.length > 0 && !filters.status.includes(item.status)) {
+    return false;
+  }
+  
+  if (filters.minScore !== null && !(item.score >= filters.minScore)) {
+    return false;
+  }
+  
+  if (item.year && ((filters.yearFrom !== null && item.year < filters.yearFrom) || (filters.yearTo !== null && item.year > filters.yearTo))) {
+    return false;
+  }
+  
+  if (length && ((filters.minLength !== null && length < filters.minLength) || (filters.maxLength !== null && length > filters.maxLength))) {
+    return false;
+  }
+  
+  return true;
+}
+
+module.exports = {
+  STATUSES,
+  normalizeFilters,
+  matchesFilters
+};
@@ -0,0 +1,176 @@
+// Franchise resolution over catalog relations: which entries belong to one show or series, and where to start it
+
+// Relations that keep you inside one franchise; adaptations into the other medium don't count
+const FRANCHISE_RELATIONS = [
+  'Prequel', 'Sequel', 'Parent Story', 'Side Story', 'Alternative Version', 'Alternative Setting', 'Spin-Off', 'Summary', 'Full Story'
+];
+
+// Relations that lead back towards a franchise's first entry
+const UPSTREAM_RELATIONS = ['Parent Story', 'Full Story', 'Prequel'];
+
+// Most entries whose relations are looked up per franchise; very long ones are cut off here
+const MAX_FRANCHISE_LOOKUPS = 10;
+
+// Relation lookups shared by the walks over a request's seeds, and by those over one page of cards (beyond each
+// card's own relations), so that many seeds or a page of long franchises don't queue up dozens of catalog calls
+const MAX_SEED_LOOKUPS = 30;
+const MAX_PAGE_LOOKUPS = 20;
+
+// Watch/read-order lists on cards are capped at this many entries
+const MAX_ORDER_ENTRIES = 15;
+
+async function relationsOf(provider, catalog, id) {
+  try {
+    return await provider.getRelations(catalog, id);
+  } catch (error) {
+    if (error.code === 'ERR_CANCELED') {
+      throw error;
+    }
+    
+    console.error(`Error fetching relations for ${id}:`, error.message);
+    return [];
+  }
+}
+
+function orderEntry(node, relation) {
+  return { id: node.id, title: node.title, url: node.url, relation };
+}
+
+/**
+ * Walk the franchise relations out from one entry of `catalog`.
+ * Returns `ids` (every entry found), `entryPoint` (where to start: up through parent stories and prequels),
+ * `order` (the main line through the sequels, then everything else with the relation it was found through)
+ * and `key`, the entry point's id, which is the same whichever entry the walk started from.
+ * `maxLookups` caps this walk's relation lookups; a `budget` ({ remaining }) shared with other walks caps those
+ * after the first, and `cutShort` says whether it ran out before this walk was done.
+ */
+async function resolveFranchise(provider, catalog, { id, title, url }, { maxLookups = MAX_FRANCHISE_LOOKUPS, budget = null } = {}) {
+  const nodes = new Map([[id, { id, title, url, via: null, links: {} }]]);
+  const queue = [id];
+  let lookups = 0;
+  let cutShort = false;
+  
+  while (queue.length > 0 && lookups < maxLookups) {
+    if (budget && lookups > 0) {
+      if (budget.remaining <= 0) {
+        cutShort = true;
+        break;
+      }
+      budget.remaining--;
+    }
+    
+    const node = nodes.get(queue.shift());
+    lookups++;
+    
+    (await relationsOf(provider, catalog, node.id))
+      .filter(r => FRANCHISE_RELATIONS.includes(r.relation))
+      .forEach(r => r.entries.filter(entry => entry.mediaType === catalog).forEach(entry => {
+        node.links[r.relation] = [...(node.links[r.relation] || []), entry.id];
+        
+        if (!nodes.has(entry.id)) {
+          nodes.set(entry.id, { id: entry.id, title: entry.title, url: entry.url, via: r.relation, links: {} });
+          queue.push(entry.id);
+        }
+      }));
+  }
+  
+  // From a side story up to its parent, then back through the prequels
+  const walked = new Set([id]);
+  let start = nodes.get(id);
+  
+  for (;;) {
+    const up = UPSTREAM_RELATIONS
+      .flatMap(relation => start.links[relation] || [])
+      .find(linked => nodes.has(linked) && !walked.has(linked));
+    
+    if (up === undefined) {
+      break;
+    }
+    
+    walked.add(up);
+    start = nodes.get(up);
+  }
+  
+  // Then forward through the sequels
+  const mainLine = [];
+  
+  for (let node = start; node; ) {
+    mainLine.push(node);
+    const next = (node.links.Sequel || []).find(linked => nodes.has(linked) && !mainLine.some(n => n.id === linked));
+    node = next === undefined ? null : nodes.get(next);
+  }
+  
+  const others = [...nodes.values()].filter(node => !mainLine.includes(node));
+  
+  return {
+    key: start.id,
+    cutShort,
+    ids: new Set(nodes.keys()),
+    entryPoint: orderEntry(start, 'Main story'),
+    order: [...mainLine.map(node => orderEntry(node, 'Main story')), ...others.map(node => orderEntry(node, node.via))]
+  };
+}
+
+// Extend a known-item check to the seeds' whole franchises, so their sequels, movies and recaps aren't recommended
+async function franchiseFilter(provider, seeds, catalog, isKnown) {
+  const ids = new Set();
+  
+  // Each seed gets an even share; with many seeds that is still their direct sequels, prequels and side stories
+  const maxLookups = Math.min(Math.max(Math.floor(MAX_SEED_LOOKUPS / seeds.length), 1), MAX_FRANCHISE_LOOKUPS);
+  
+  for (const seed of seeds) {
+    (await resolveFranchise(provider, catalog, seed.item, { maxLookups })).ids.forEach(id => ids.add(id));
+  }
+  
+  return item => isKnown(item) || ids.has(item.id);
+}
+
+/**
+ * Build the `group` functions hydratePage uses to keep one card per franchise, a fresh one for each page
+ * from `forPage()`. They add the franchise (entry point and order) to cards that have one, and remember every entry
+ * they found so that later members of a franchise don't need another walk. A page's walks share MAX_PAGE_LOOKUPS;
+ * a walk cut short by that joins a franchise it reached that is already known, and otherwise is used for the page
+ * but not remembered, so a later page can finish it.
+ */
+function createFranchiseGrouper(provider, catalog) {
+  const members = new Map();
+  
+  const group = budget => async card => {
+    let franchise = members.get(card.id);
+    
+    if (!franchise) {
+      franchise = await resolveFranchise(provider, catalog, card, { budget });
+      const known = franchise.cutShort ? [...franchise.ids].find(id => members.has(id)) : undefined;
+      
+      if (known !== undefined) {
+        franchise = members.get(known);
+      } else if (!franchise.cutShort) {
+        franchise.ids.forEach(id => {
+          if (!members.has(id)) {
+            members.set(id, franchise);
+          }
+        });
+      }
+    }
+    
+    if (franchise.order.length > 1) {
+      card.franchise = {
+        entryPoint: franchise.entryPoint,
+        order: franchise.order.slice(0, MAX_ORDER_ENTRIES),
+        size: franchise.order.length
+      };
+    }
+    
+    return franchise.key;
+  };
+  
+  return {
+    forPage: () => group({ remaining: MAX_PAGE_LOOKUPS })
+  };
+}
+
+module.exports = {
+  resolveFranchise,
+  franchiseFilter,
+  createFranchiseGrouper
+};
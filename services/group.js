@@ -0,0 +1,154 @@
+// Group mode: one ranking for several people, each with their own seeds and genres to avoid
+const config = require('../config');
+const httpError = require('./httpError');
+
+const MAX_PARTICIPANTS = 8;
+
+// A participant counts as happy with a pick from this fit (0-100) up
+const GOOD_FIT = 50;
+
+// The group's score mixes its average fit with the least happy participant's, so nobody gets left out
+const LEAST_FIT_WEIGHT = 0.5;
+
+const MAX_REASONS = 4;
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Validate the request's `participants`: [{ name, titles, exclude, excludeIds }].
+ * `titles` take the same seeds as a single request, `exclude` lists genres, themes or demographics
+ * that participant won't watch, and `excludeIds` their already-seen MyAnimeList ids.
+ */
+function normalizeParticipants(participants) {
+  if (!Array.isArray(participants) || participants.length < 2) {
+    throw httpError(400, 'Please provide at least two participants');
+  }
+  
+  if (participants.length > MAX_PARTICIPANTS) {
+    throw httpError(400, `A group can have at most ${MAX_PARTICIPANTS} participants`);
+  }
+  
+  const normalized = participants.map((participant, index) => {
+    if (!participant || typeof participant !== 'object') {
+      throw httpError(400, 'Each participant must be an object with their titles');
+    }
+    
+    const { titles, exclude = [], excludeIds = [] } = participant;
+    const name = typeof participant.name === 'string' && participant.name.trim() ? participant.name.trim() : `Person ${index + 1}`;
+    
+    if (!Array.isArray(titles) || titles.length === 0) {
+      throw httpError(400, `Please provide at least one title for ${name}`);
+    }
+    
+    // Objects without a MyAnimeList id (e.g. imported from AniList) are looked up by their title
+    const isSeed = t => typeof t === 'string'
+      || Boolean(t && ((Number.isInteger(Number(t.id)) && Number(t.id) > 0) || (!t.id && typeof t.title === 'string' && t.title.trim())));
+    
+    if (!titles.every(isSeed)) {
+      throw httpError(400, `Each of ${name}'s titles must be a name or an object with a MyAnimeList id or a title`);
+    }
+    
+    if (!Array.isArray(exclude) || exclude.some(e => typeof e !== 'string')) {
+      throw httpError(400, `${name}'s exclude must be a list of names`);
+    }
+    
+    if (!Array.isArray(excludeIds)) {
+      throw httpError(400, `${name}'s excludeIds must be a list of MyAnimeList ids`);
+    }
+    
+    return {
+      name,
+      titles,
+      exclude: exclude.map(e => e.trim().toLowerCase()).filter(Boolean),
+      excludeIds: excludeIds.map(Number).filter(Number.isInteger)
+    };
+  });
+  
+  // The whole group shares the seed cap a single request has
+  const seedCount = normalized.reduce((sum, participant) => sum + participant.titles.length, 0);
+  
+  if (seedCount > config.limits.maxTitles) {
+    throw httpError(400, `A group can name at most ${config.limits.maxTitles} titles between them, not ${seedCount}`);
+  }
+  
+  return normalized;
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+// The group's reasons: who it suits, who it doesn't, then each participant's strongest reason
+function explainGroup(fits) {
+  const reasons = [];
+  const happy = fits.filter(f => f.fit >= GOOD_FIT);
+  
+  if (happy.length === fits.length) {
+    reasons.push(`A good fit for all ${fits.length} of you`);
+  } else if (happy.length > 1) {
+    reasons.push(`A good fit for ${listNames(happy.map(f => f.name))}`);
+  }
+  
+  fits.filter(f => f.avoided.length > 0).forEach(f => {
+    reasons.push(`${f.name} wants to avoid ${listNames(f.avoided)}`);
+  });
+  
+  [...fits]
+    .sort((a, b) => b.fit - a.fit)
+    .filter(f => f.avoided.length === 0 && f.reasons.length > 0)
+    .forEach(f => reasons.push(`For ${f.name}: ${f.reasons[0]}`));
+  
+  return reasons.slice(0, MAX_REASONS);
+}
+
+/**
+ * Combine the participants' scorers (see similarity.js) into one for the group.
+ * `people` are { name, exclude, score, context }, where `context(item)` gives that person's own
+ * votes for the item. An item with something a participant excludes fits them 0.
+ * Returns the usual { total, signals, reasons } with the group's average signals, plus
+ * `participants`: [{ name, fit, avoided, reason }] for the per-person fit on the card.
+ */
+function createGroupScorer(people) {
+  return function score(item) {
+    const names = [...(item.genres || []), ...(item.themes || []), ...(item.demographics || [])];
+    
+    const fits = people.map(person => {
+      const breakdown = person.score(item, person.context(item));
+      const avoided = names.filter(name => person.exclude.includes(name.toLowerCase()));
+      
+      return {
+        name: person.name,
+        fit: avoided.length > 0 ? 0 : breakdown.total,
+        avoided,
+        reasons: breakdown.reasons,
+        signals: breakdown.signals
+      };
+    });
+    
+    const signals = {};
+    
+    Object.entries(fits[0].signals).forEach(([name, signal]) => {
+      signals[name] = {
+        value: Math.round(average(fits.map(f => f.signals[name].value)) * 100) / 100,
+        weight: signal.weight
+      };
+    });
+    
+    const least = Math.min(...fits.map(f => f.fit));
+    
+    return {
+      total: Math.round((1 - LEAST_FIT_WEIGHT) * average(fits.map(f => f.fit)) + LEAST_FIT_WEIGHT * least),
+      signals,
+      reasons: explainGroup(fits),
+      participants: fits.map(f => ({ name: f.name, fit: f.fit, avoided: f.avoided, reason: f.reasons[0] || null }))
+    };
+  };
+}
+
+module.exports = {
+  MAX_PARTICIPANTS,
+  normalizeParticipants,
+  createGroupScorer
+};
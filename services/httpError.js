@@ -0,0 +1,8 @@
+// Create an error that the route handlers turn into a response with the given status code
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = httpError;
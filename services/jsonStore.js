@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Tiny embedded store: one JSON document kept in memory and written back to disk
+ * after each change. Writes go through a temp file and a rename so a crash mid-write
+ * never leaves a truncated file behind.
+ */
+function createJsonStore(filePath, defaults = () => ({})) {
+  let data = null;
+  let writing = Promise.resolve();
+  
+  function read() {
+    if (!data) {
+      try {
+        data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        data = defaults();
+      }
+    }
+    
+    return data;
+  }
+  
+  // Persist the current data; writes are serialized so they land in order
+  function save() {
+    const snapshot = JSON.stringify(read(), null, 2);
+    
+    writing = writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(`${filePath}.tmp`, snapshot);
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+      })
+      .catch(error => console.error(`Error saving ${filePath}:`, error.message));
+    
+    return writing;
+  }
+  
+  return {
+    read,
+    save
+  };
+}
+
+module.exports = {
+  createJsonStore
+};
@@ -0,0 +1,172 @@
+const zlib = require('zlib');
+const { XMLParser } = require('fast-xml-parser');
+const httpError = require('./httpError');
+
+// Imported seeds are capped so a huge list doesn't turn into hundreds of upstream calls
+const MAX_IMPORTED_SEEDS = 10;
+
+// Largest a gzipped export may unpack to; even very long lists are a few megabytes of XML
+const MAX_UNZIPPED_SIZE = 50 * 1024 * 1024;
+
+// Lowest personal score (out of 10) for a completed entry to count as a seed
+const SEED_SCORE_THRESHOLD = 8;
+
+// MyAnimeList export statuses, mapped to the status names used everywhere else
+const MAL_STATUSES = {
+  'completed': 'completed',
+  'watching': 'current',
+  'reading': 'current',
+  'on-hold': 'paused',
+  'dropped': 'dropped',
+  'plan to watch': 'planning',
+  'plan to read': 'planning'
+};
+
+const ANILIST_STATUSES = {
+  COMPLETED: 'completed',
+  CURRENT: 'current',
+  REPEATING: 'current',
+  PAUSED: 'paused',
+  DROPPED: 'dropped',
+  PLANNING: 'planning'
+};
+
+// Parse a MyAnimeList animelist/mangalist XML export into list entries
+function parseMalExport(xml) {
+  const parser = new XMLParser({ parseTagValue: false });
+  const root = parser.parse(xml).myanimelist;
+  
+  if (!root) {
+    throw httpError(400, 'This XML file is not a MyAnimeList export');
+  }
+  
+  const toArray = value => (value ? [].concat(value) : []);
+  
+  const anime = toArray(root.anime).map(entry => ({
+    mediaType: 'anime',
+    malId: Number(entry.series_animedb_id),
+    title: String(entry.series_title),
+    status: MAL_STATUSES[String(entry.my_status).toLowerCase()] || 'other',
+    score: Number(entry.my_score) || null
+  }));
+  
+  const manga = toArray(root.manga).map(entry => ({
+    mediaType: 'manga',
+    malId: Number(entry.manga_mangadb_id),
+    title: String(entry.manga_title),
+    status: MAL_STATUSES[String(entry.my_status).toLowerCase()] || 'other',
+    score: Number(entry.my_score) || null
+  }));
+  
+  return [...anime, ...manga];
+}
+
+// Parse an AniList JSON export, either the site export or a MediaListCollection query result
+function parseAniListExport(json) {
+  if (!json || typeof json !== 'object') {
+    throw httpError(400, 'This JSON file is not an AniList export');
+  }
+  
+  const lists = json.lists || json.data?.MediaListCollection?.lists || json.MediaListCollection?.lists;
+  
+  if (!Array.isArray(lists)) {
+    throw httpError(400, 'This JSON file is not an AniList export');
+  }
+  
+  // Entries that aren't objects (or lists without any) are skipped rather than failing the whole file
+  const entries = lists
+    .flatMap(list => (list && Array.isArray(list.entries) ? list.entries : []))
+    .filter(entry => entry && typeof entry === 'object');
+  
+  return entries.map(entry => {
+    const media = entry.media && typeof entry.media === 'object' ? entry.media : {};
+    const score = Number(entry.score) || null;
+    
+    return {
+      mediaType: String(media.type || entry.type || '').toUpperCase() === 'MANGA' ? 'manga' : 'anime',
+      malId: Number(media.idMal || entry.idMal) || null,
+      title: String(media.title?.userPreferred || media.title?.romaji || media.title?.english || entry.title || ''),
+      status: ANILIST_STATUSES[entry.status] || 'other',
+      
+      // AniList scores can be on a 100-point scale depending on the user's settings
+      score: score && score > 10 ? score / 10 : score
+    };
+  });
+}
+
+// Weight a seed by how much the user liked it: 8/10 counts once, 10/10 counts one and a half times
+function seedWeight(score) {
+  return score ? Math.max(0.5, 1 + (score - SEED_SCORE_THRESHOLD) / 4) : 1;
+}
+
+/**
+ * Turn an uploaded list export (MAL XML, optionally gzipped, or AniList JSON) into
+ * weighted seeds and the ids of everything already on the list. Seeds and exclusions go by MyAnimeList id,
+ * so AniList entries without one are left out and counted as `unmatched`.
+ */
+function importList(buffer) {
+  if (!buffer || buffer.length === 0) {
+    throw httpError(400, 'Please upload a MyAnimeList or AniList export');
+  }
+  
+  // MAL hands out its exports as .xml.gz
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      buffer = zlib.gunzipSync(buffer, { maxOutputLength: MAX_UNZIPPED_SIZE });
+    } catch (error) {
+      throw httpError(400, error.code === 'ERR_BUFFER_TOO_LARGE'
+        ? 'The unpacked export is too large'
+        : 'Could not unpack the file: it looks gzipped but is damaged');
+    }
+  }
+  
+  const text = buffer.toString('utf8').trim();
+  let entries;
+  let source;
+  
+  if (text.startsWith('<')) {
+    entries = parseMalExport(text);
+    source = 'myanimelist';
+  } else {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw httpError(400, 'Could not read the file: expected MyAnimeList XML or AniList JSON');
+    }
+    entries = parseAniListExport(json);
+    source = 'anilist';
+  }
+  
+  // A list export is normally all anime or all manga; go with whichever has more entries
+  const animeCount = entries.filter(e => e.mediaType === 'anime').length;
+  const mediaType = animeCount >= entries.length - animeCount ? 'anime' : 'manga';
+  const ofType = entries.filter(e => e.mediaType === mediaType);
+  const listEntries = ofType.filter(e => e.malId);
+  
+  const completed = listEntries.filter(e => e.status === 'completed');
+  const favourites = completed.filter(e => e.score >= SEED_SCORE_THRESHOLD);
+  
+  // Unscored lists still have completed entries to go on
+  const seeds = (favourites.length > 0 ? favourites : completed)
+    .sort((a, b) => (b.score || 0) - (a.score || 0))
+    .slice(0, MAX_IMPORTED_SEEDS)
+    .map(e => ({ id: e.malId, title: e.title, weight: seedWeight(e.score) }));
+  
+  return {
+    source,
+    mediaType,
+    seeds,
+    excludeIds: listEntries.map(e => e.malId).filter(Boolean),
+    counts: {
+      total: listEntries.length,
+      completed: completed.length,
+      seeds: seeds.length,
+      unmatched: ofType.length - listEntries.length
+    }
+  };
+}
+
+module.exports = {
+  importList
+};
@@ -0,0 +1,32 @@
+const axios = require('axios');
+const { schedulingOptions } = require('../requestContext');
+
+/**
+ * Language model backed by Google's Gemini REST API.
+ */
+function createGeminiModel({ baseUrl, apiKey, model }, { timeout }) {
+  async function generate(prompt) {
+    const response = await axios.post(`${baseUrl}/models/${model}:generateContent`, {
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { responseMimeType: 'application/json' }
+    }, {
+      params: { key: apiKey },
+      timeout,
+      signal: schedulingOptions().signal
+    });
+    
+    const parts = response.data.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+  
+  return {
+    name: 'gemini',
+    model,
+    configured: Boolean(apiKey),
+    generate
+  };
+}
+
+module.exports = {
+  createGeminiModel
+};
@@ -0,0 +1,42 @@
+const config = require('../../config');
+const httpError = require('../httpError');
+const { createGeminiModel } = require('./gemini');
+const { createOpenAIModel } = require('./openai');
+const { createStubModel } = require('./stub');
+
+/**
+ * Language models all expose the same interface:
+ *   generate(prompt, { catalog, count, avoid }) -> the model's raw text answer, which should be JSON
+ * The options repeat what the prompt asks for, for models (like the stub) that don't read it.
+ * `configured` is false when the model is missing its credentials.
+ */
+const factories = {
+  gemini: () => createGeminiModel(config.llm.gemini, config.llm),
+  openai: () => createOpenAIModel(config.llm.openai, config.llm),
+  stub: () => createStubModel(config.llm.stub)
+};
+
+let languageModel = null;
+
+// The configured model, created on first use; AI mode answers 503 when it can't be used
+function getLanguageModel() {
+  if (!languageModel) {
+    const factory = factories[config.llm.provider.toLowerCase()];
+    
+    if (!factory) {
+      throw httpError(503, `Unknown language model provider "${config.llm.provider}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    
+    languageModel = factory();
+  }
+  
+  if (!languageModel.configured) {
+    throw httpError(503, `AI mode isn't set up: the ${languageModel.name} model needs an API key`);
+  }
+  
+  return languageModel;
+}
+
+module.exports = {
+  getLanguageModel
+};
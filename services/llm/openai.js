@@ -0,0 +1,35 @@
+const axios = require('axios');
+const { schedulingOptions } = require('../requestContext');
+
+/**
+ * Language model behind an OpenAI-compatible chat completions endpoint.
+ * Local servers (llama.cpp, Ollama, LM Studio) speak the same API and usually don't need a key.
+ */
+function createOpenAIModel({ baseUrl, apiKey, model }, { timeout }) {
+  async function generate(prompt) {
+    const response = await axios.post(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      response_format: { type: 'json_object' }
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout,
+      signal: schedulingOptions().signal
+    });
+    
+    return response.data.choices?.[0]?.message?.content || '';
+  }
+  
+  return {
+    name: 'openai',
+    model,
+    
+    // The default endpoint needs a key; a custom one may be a local server that doesn't
+    configured: Boolean(apiKey) || !baseUrl.startsWith('https://api.openai.com'),
+    generate
+  };
+}
+
+module.exports = {
+  createOpenAIModel
+};
@@ -0,0 +1,39 @@
+const fs = require('fs');
+
+// Well-known titles per catalog, so AI mode can be tried without a model; they still go through catalog checks
+const DEFAULT_SUGGESTIONS = {
+  anime: ['Cowboy Bebop', 'Mushishi', 'Steins;Gate', 'Monster', 'Planetes', 'Vinland Saga', 'Odd Taxi', 'Mob Psycho 100', 'Natsume\'s Book of Friends', 'Ping Pong the Animation'],
+  manga: ['Vagabond', 'Pluto', 'Yotsuba&!', 'Monster', 'Planetes', 'Vinland Saga', 'Dungeon Meshi', 'Oyasumi Punpun', 'Mushishi', 'Blame!']
+};
+
+/**
+ * Offline stand-in for a language model. Answers with the JSON in `responseFile` when there is one,
+ * otherwise with DEFAULT_SUGGESTIONS for the requested catalog, skipping the titles it's told to avoid.
+ */
+function createStubModel({ responseFile }) {
+  async function generate(prompt, { catalog = 'manga', count = 10, avoid = [] } = {}) {
+    if (responseFile) {
+      return fs.readFileSync(responseFile, 'utf8');
+    }
+    
+    const avoided = new Set(avoid.map(title => title.toLowerCase()));
+    
+    return JSON.stringify({
+      recommendations: DEFAULT_SUGGESTIONS[catalog]
+        .filter(title => !avoided.has(title.toLowerCase()))
+        .slice(0, count)
+        .map(title => ({ title, whyRecommended: 'A widely loved classic (suggested by the stub model)' }))
+    });
+  }
+  
+  return {
+    name: 'stub',
+    model: 'stub',
+    configured: true,
+    generate
+  };
+}
+
+module.exports = {
+  createStubModel
+};
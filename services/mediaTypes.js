@@ -0,0 +1,134 @@
+// Registry of the media types the recommender, the API and the front-end know about
+const httpError = require('./httpError');
+
+/**
+ * Each media type names:
+ *   catalog: the provider catalog it's searched and looked up in ("anime" or "manga")
+ *   format: the Jikan `type` filter that narrows the manga catalog to it, and typeLabel, the `type` its items carry
+ *   origin: where a comic format comes from, for reasons like "Korean manhwa sharing ..."
+ *   creatorLabel: how cards introduce its creators ("Animated by MAPPA", "by Tatsuki Fujimoto")
+ *   length: the item field the length filters and stats count, with its unit
+ *   stats: what cards show under the description, in order; `optional` ones are left out when missing
+ * Plain manga has no format: its results keep whatever comic type the recommendation graph leads to.
+ */
+const MEDIA_TYPES = {
+  anime: {
+    label: 'Anime',
+    plural: 'anime',
+    catalog: 'anime',
+    verb: 'watch',
+    icon: 'fa-tv',
+    creatorLabel: 'Animated by',
+    length: { field: 'episodes', unit: 'episodes' },
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'episodes', icon: 'fa-film', unit: 'episodes' },
+      { field: 'broadcast', icon: 'fa-tv', optional: true }
+    ]
+  },
+  manga: {
+    label: 'Manga',
+    plural: 'manga',
+    catalog: 'manga',
+    verb: 'read',
+    icon: 'fa-book',
+    creatorLabel: 'by',
+    length: { field: 'chapters', unit: 'chapters' },
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'chapters', icon: 'fa-book-open', unit: 'chapters' }
+    ]
+  },
+  manhwa: {
+    label: 'Manhwa',
+    plural: 'manhwa',
+    catalog: 'manga',
+    format: 'manhwa',
+    typeLabel: 'Manhwa',
+    origin: 'Korean',
+    verb: 'read',
+    icon: 'fa-scroll',
+    creatorLabel: 'by',
+    length: { field: 'chapters', unit: 'chapters' },
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'chapters', icon: 'fa-book-open', unit: 'chapters' }
+    ]
+  },
+  manhua: {
+    label: 'Manhua',
+    plural: 'manhua',
+    catalog: 'manga',
+    format: 'manhua',
+    typeLabel: 'Manhua',
+    origin: 'Chinese',
+    verb: 'read',
+    icon: 'fa-dragon',
+    creatorLabel: 'by',
+    length: { field: 'chapters', unit: 'chapters' },
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'chapters', icon: 'fa-book-open', unit: 'chapters' }
+    ]
+  },
+  lightnovel: {
+    label: 'Light Novel',
+    plural: 'light novels',
+    catalog: 'manga',
+    format: 'lightnovel',
+    typeLabel: 'Light Novel',
+    verb: 'read',
+    icon: 'fa-feather-alt',
+    creatorLabel: 'by',
+    
+    // Light novels are counted in volumes; MyAnimeList rarely knows their chapters
+    length: { field: 'volumes', unit: 'volumes' },
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'volumes', icon: 'fa-book', unit: 'volumes' }
+    ]
+  },
+  oneshot: {
+    label: 'One-shot',
+    plural: 'one-shots',
+    catalog: 'manga',
+    format: 'oneshot',
+    typeLabel: 'One-shot',
+    verb: 'read',
+    icon: 'fa-bolt',
+    creatorLabel: 'by',
+    length: { field: 'chapters', unit: 'chapters' },
+    
+    // A one-shot is a single chapter, so its year says more than its length
+    stats: [
+      { field: 'score', icon: 'fa-star' },
+      { field: 'year', icon: 'fa-calendar-alt', optional: true }
+    ]
+  }
+};
+
+// Formats searched in the manga catalog and told apart by the catalog's `type` field
+const COMIC_FORMATS = Object.fromEntries(Object.entries(MEDIA_TYPES)
+  .filter(([, type]) => type.format)
+  .map(([name, type]) => [name, { label: type.typeLabel, origin: type.origin, plural: type.plural }]));
+
+// Look up a media type, answering 400 for one the registry doesn't have
+function getMediaType(name) {
+  if (!MEDIA_TYPES[name]) {
+    throw httpError(400, `Unknown media type "${name}". Use one of: ${Object.keys(MEDIA_TYPES).join(', ')}`);
+  }
+  
+  return MEDIA_TYPES[name];
+}
+
+// Anime lives in the anime catalog, every comic format in the manga catalog
+function catalogType(mediaType) {
+  return MEDIA_TYPES[mediaType]?.catalog || 'manga';
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  COMIC_FORMATS,
+  getMediaType,
+  catalogType
+};
@@ -0,0 +1,200 @@
+// OpenAPI 3.1 description of the versioned API, built from the same schemas the requests are checked against
+const { schemas } = require('./schemas');
+const { MEDIA_TYPES } = require('./mediaTypes');
+const { apiKeysRequired } = require('./apiKeys');
+const config = require('../config');
+
+const json = schema => ({ 'application/json': { schema } });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+
+// Statuses every authenticated call can answer with besides its own
+const COMMON_ERRORS = {
+  401: errorResponse('Missing or invalid API key, when keys are configured'),
+  429: errorResponse('The API key\'s daily quota is used up; Retry-After says when it starts over')
+};
+
+// Recommend calls are also limited per client, by API key or else by address
+const RECOMMEND_LIMITS = {
+  413: errorResponse(`The body is larger than ${config.limits.bodySize}`),
+  429: errorResponse(`The API key's daily quota is used up, the client made more than ${config.limits.perKey} (with a key) `
+    + `or ${config.limits.perIp} (without) requests in ${config.limits.window} seconds, or already has `
+    + `${config.limits.concurrentJobs} running; Retry-After says when to try again`)
+};
+
+const RECOMMEND_ERRORS = {
+  400: errorResponse('The body doesn\'t match RecommendRequest, or names something unknown; `details` lists every problem'),
+  404: errorResponse('None of the titles could be found in the catalog'),
+  ...COMMON_ERRORS,
+  ...RECOMMEND_LIMITS,
+  502: errorResponse('The catalog or language model failed'),
+  503: errorResponse('AI mode isn\'t set up, or a replayed snapshot lacks what the request needs')
+};
+
+const responseSchemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['status', 'code', 'message'],
+        properties: {
+          status: { type: 'integer' },
+          code: { type: 'string', examples: ['invalid_request', 'unauthorized', 'too_many_requests'] },
+          message: { type: 'string' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                field: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  
+  Card: {
+    type: 'object',
+    description: 'A recommended entry, with the catalog\'s details and why it was picked',
+    properties: {
+      id: { type: 'integer' },
+      malId: { type: ['integer', 'null'] },
+      title: { type: 'string' },
+      type: { type: 'string' },
+      genres: { type: 'array', items: { type: 'string' } },
+      score: { type: ['number', 'null'] },
+      members: { type: ['integer', 'null'] },
+      image: { type: 'string' },
+      url: { type: 'string' },
+      similarTo: { type: 'array', items: { type: 'string' } },
+      whyRecommended: { type: 'string' },
+      matchScore: { type: 'integer', minimum: 0, maximum: 100 },
+      scoreBreakdown: { type: 'object', description: '{ total, signals, reasons } behind matchScore' },
+      franchise: { type: 'object', description: 'Where to start a franchise the card stands for' }
+    }
+  },
+  
+  RecommendResponse: {
+    type: 'object',
+    properties: {
+      baseTitle: { description: 'The seeds that were found' },
+      mediaType: { type: 'string' },
+      provider: { type: 'string' },
+      recommendations: { type: 'array', items: ref('Card') },
+      adaptations: { type: 'array', items: ref('Card'), description: 'Cross-media requests: the seeds\' own adaptations' },
+      nextCursor: { type: ['string', 'null'], description: 'Pass as `cursor` for the next page' },
+      permalinkId: { type: ['string', 'null'], description: 'Shareable at /r/{permalinkId}' },
+      meta: { type: 'object', description: 'How the catalog cache and offline snapshot served the request' }
+    }
+  }
+};
+
+function recommendOperation(summary) {
+  return {
+    summary,
+    requestBody: { required: true, content: json(ref('RecommendRequest')) },
+    responses: {
+      200: { description: 'A page of recommendations', content: json(ref('RecommendResponse')) },
+      ...RECOMMEND_ERRORS
+    }
+  };
+}
+
+function streamOperation(summary) {
+  return {
+    summary,
+    description: 'Server-Sent Events: `seed`, `candidates`, `detail` and `card` while the request runs, then `done` with the RecommendResponse, '
+      + 'or `error` with the error envelope plus its `status`',
+    requestBody: { required: true, content: json(ref('RecommendRequest')) },
+    responses: {
+      200: { description: 'The event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+      400: errorResponse('The body isn\'t JSON'),
+      ...COMMON_ERRORS,
+      ...RECOMMEND_LIMITS
+    }
+  };
+}
+
+/**
+ * The document served at /api/v1/openapi.json. Whether it asks for API keys follows the server's configuration.
+ */
+function openApiDocument() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Anime & Manga Recommender API',
+      version: '1.0.0',
+      description: 'Recommendations from MyAnimeList (through Jikan) or AniList, ranked by fan votes and content similarity.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: apiKeysRequired() ? [{ apiKey: [] }] : [],
+    paths: {
+      '/recommend': {
+        post: recommendOperation('Recommend titles like the given ones')
+      },
+      '/recommend/group': {
+        post: recommendOperation('Recommend titles for several people at once, from each participant\'s titles')
+      },
+      '/recommend/stream': {
+        post: streamOperation('Same as /recommend, streaming progress and each card as it\'s ready')
+      },
+      '/recommend/group/stream': {
+        post: streamOperation('Same as /recommend/group, streaming progress and each card as it\'s ready')
+      },
+      '/search': {
+        get: {
+          summary: 'Look titles up by name, e.g. for picking seeds by MyAnimeList id',
+          parameters: [
+            { name: 'q', in: 'query', required: true, schema: { type: 'string', minLength: 2 } },
+            { name: 'mediaType', in: 'query', schema: { type: 'string', enum: Object.keys(MEDIA_TYPES), default: 'manga' } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10, default: 8 } },
+            { name: 'provider', in: 'query', schema: { type: 'string' } },
+            { name: 'sfw', in: 'query', schema: { type: 'boolean', default: true } }
+          ],
+          responses: {
+            200: {
+              description: 'Matching entries',
+              content: json({ type: 'object', properties: { results: { type: 'array', items: ref('Card') } } })
+            },
+            400: errorResponse('The query is too short or names an unknown media type'),
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/media-types': {
+        get: {
+          summary: 'The media types requests can name, with their labels and card stats',
+          responses: {
+            200: { description: 'The media type registry', content: json({ type: 'object', properties: { mediaTypes: { type: 'object' } } }) },
+            ...COMMON_ERRORS
+          }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          summary: 'This document',
+          security: [],
+          responses: {
+            200: { description: 'The OpenAPI document', content: json({ type: 'object' }) }
+          }
+        }
+      }
+    },
+    components: {
+      schemas: { ...schemas, ...responseSchemas },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  openApiDocument
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const httpError = require('./httpError');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore(path.join(config.dataDir, 'permalinks.json'), () => ({ results: {} }));
+
+// A shared page shows at most this many cards, however often "Load more" was pressed
+const MAX_SAVED_RECOMMENDATIONS = 100;
+
+function isExpired(entry, now = Date.now()) {
+  return new Date(entry.expiresAt).getTime() <= now;
+}
+
+// The saved run behind an id, if it hasn't expired. Own keys only, so "__proto__" or "constructor" find nothing
+function liveEntry(id) {
+  const { results } = store.read();
+  const entry = Object.hasOwn(results, id) ? results[id] : null;
+  
+  return entry && !isExpired(entry) ? entry : null;
+}
+
+// Drop expired entries, then the oldest ones while we're over the cap
+function prune(results) {
+  const now = Date.now();
+  
+  Object.values(results)
+    .filter(entry => isExpired(entry, now))
+    .forEach(entry => delete results[entry.id]);
+  
+  const ids = Object.keys(results);
+  
+  if (ids.length > config.permalinks.maxEntries) {
+    ids
+      .sort((a, b) => results[a].createdAt.localeCompare(results[b].createdAt))
+      .slice(0, ids.length - config.permalinks.maxEntries)
+      .forEach(id => delete results[id]);
+  }
+}
+
+// Save a finished recommendation run and return the short id it can be shared under
+function createPermalink(result) {
+  const { results } = store.read();
+  const now = new Date();
+  
+  const entry = {
+    id: crypto.randomBytes(6).toString('base64url'),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.permalinks.ttl * 1000).toISOString(),
+    result: {
+      baseTitle: result.baseTitle,
+      mediaType: result.mediaType,
+      sourceType: result.sourceType,
+      season: result.season,
+      participants: result.participants,
+      ai: result.ai,
+      provider: result.provider,
+      adaptations: result.adaptations || [],
+      recommendations: result.recommendations.slice(0, MAX_SAVED_RECOMMENDATIONS)
+    }
+  };
+  
+  prune(results);
+  results[entry.id] = entry;
+  store.save();
+  
+  return entry.id;
+}
+
+// Add a "Load more" page to a saved run; links that have expired in the meantime are left alone
+function appendToPermalink(id, recommendations) {
+  const entry = liveEntry(id);
+  
+  if (!entry) {
+    return;
+  }
+  
+  const saved = entry.result.recommendations;
+  const known = new Set(saved.map(item => item.id));
+  
+  saved.push(...recommendations.filter(item => !known.has(item.id)));
+  entry.result.recommendations = saved.slice(0, MAX_SAVED_RECOMMENDATIONS);
+  store.save();
+}
+
+function getPermalink(id) {
+  const entry = liveEntry(id);
+  
+  if (!entry) {
+    throw httpError(404, 'This link has expired or never existed');
+  }
+  
+  return entry;
+}
+
+module.exports = {
+  createPermalink,
+  appendToPermalink,
+  getPermalink
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const httpError = require('./httpError');
+const { createJsonStore } = require('./jsonStore');
+
+const store = createJsonStore(path.join(config.dataDir, 'profiles.json'), () => ({ profiles: {} }));
+
+const FEEDBACK_STATUSES = ['seen', 'loved', 'not_interested'];
+
+// Only the most recent requests are kept in a profile's history
+const MAX_HISTORY = 50;
+
+// How many places a candidate moves when all of its genres match disliked or loved items
+const DISLIKE_PENALTY = 4;
+const LOVE_BOOST = 2;
+
+// Feedback is keyed by catalog and MyAnimeList id, since manhwa and manga share ids
+function feedbackKey(catalog, malId) {
+  return `${catalog}:${malId}`;
+}
+
+function createProfile(name) {
+  const profile = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: name ? String(name).slice(0, 50) : null,
+    createdAt: new Date().toISOString(),
+    history: [],
+    likedSeeds: [],
+    feedback: {}
+  };
+  
+  store.read().profiles[profile.id] = profile;
+  store.save();
+  
+  return profile;
+}
+
+function getProfile(id) {
+  const { profiles } = store.read();
+  
+  // Own keys only, so ids like "constructor" or "__proto__" don't reach inherited properties
+  const profile = Object.hasOwn(profiles, id) ? profiles[id] : null;
+  
+  if (!profile) {
+    throw httpError(404, `Profile "${id}" not found`);
+  }
+  
+  return profile;
+}
+
+// Record (or with a null status, clear) the user's feedback on one item
+function setFeedback(id, { catalog, malId, title, genres, status }) {
+  const profile = getProfile(id);
+  
+  const itemId = Number(malId);
+  
+  if (!Number.isInteger(itemId) || itemId <= 0) {
+    throw httpError(400, 'Feedback needs the item\'s malId, a positive whole number');
+  }
+  
+  const key = feedbackKey(catalog, itemId);
+  
+  if (status === null) {
+    delete profile.feedback[key];
+  } else if (FEEDBACK_STATUSES.includes(status)) {
+    profile.feedback[key] = {
+      catalog,
+      malId: itemId,
+      title: title || null,
+      genres: Array.isArray(genres) ? genres : [],
+      status,
+      at: new Date().toISOString()
+    };
+  } else {
+    throw httpError(400, `Feedback status must be one of: ${FEEDBACK_STATUSES.join(', ')}`);
+  }
+  
+  store.save();
+  return profile.feedback[key] || null;
+}
+
+// Remember a finished request and which seeds it resolved to
+function recordRequest(id, { mediaType, targetType }, result) {
+  const profile = getProfile(id);
+  
+  profile.history.unshift({
+    at: new Date().toISOString(),
+    mediaType,
+    targetType: targetType || null,
+    seeds: result.baseTitle,
+    results: result.recommendations.map(r => r.title)
+  });
+  profile.history = profile.history.slice(0, MAX_HISTORY);
+  
+  result.baseTitle.forEach(title => {
+    const liked = profile.likedSeeds.find(s => s.title === title && s.mediaType === mediaType);
+    
+    if (liked) {
+      liked.count++;
+    } else {
+      profile.likedSeeds.push({ title, mediaType, count: 1 });
+    }
+  });
+  profile.likedSeeds.sort((a, b) => b.count - a.count);
+  
+  store.save();
+}
+
+// Everything the user has given feedback on in a catalog is left out of new results
+function feedbackExcludeIds(profile, catalog) {
+  return Object.values(profile.feedback)
+    .filter(f => f.catalog === catalog)
+    .map(f => f.malId);
+}
+
+// Share of an item's genres that also appear in a set of genres
+function genreShare(item, genres) {
+  if (!item.genres || item.genres.length === 0) {
+    return 0;
+  }
+  return item.genres.filter(g => genres.has(g)).length / item.genres.length;
+}
+
+/**
+ * Reorder recommendations using the profile's feedback: candidates that look like
+ * things the user wasn't interested in sink, ones that look like things they loved rise.
+ */
+function applyFeedback(recommendations, profile) {
+  const feedback = Object.values(profile.feedback);
+  const disliked = new Set(feedback.filter(f => f.status === 'not_interested').flatMap(f => f.genres));
+  const loved = new Set(feedback.filter(f => f.status === 'loved').flatMap(f => f.genres));
+  
+  if (disliked.size === 0 && loved.size === 0) {
+    return recommendations;
+  }
+  
+  return recommendations
+    .map((item, index) => ({
+      item,
+      rank: index + DISLIKE_PENALTY * genreShare(item, disliked) - LOVE_BOOST * genreShare(item, loved)
+    }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(entry => entry.item);
+}
+
+module.exports = {
+  FEEDBACK_STATUSES,
+  createProfile,
+  getProfile,
+  setFeedback,
+  recordRequest,
+  feedbackExcludeIds,
+  applyFeedback
+};
@@ -0,0 +1,416 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { createRateLimiter } = require('../rateLimiter');
+const { schedulingOptions } = require('../requestContext');
+
+// Fields needed to build a card from an AniList Media object
+const MEDIA_FIELDS = `
+  id
+  idMal
+  type
+  format
+  countryOfOrigin
+  title { romaji english native }
+  description(asHtml: false)
+  coverImage { large }
+  siteUrl
+  averageScore
+  popularity
+  status
+  isAdult
+  startDate { year month day }
+  nextAiringEpisode { airingAt }
+  episodes
+  chapters
+  volumes
+  genres
+  tags { name rank category isMediaSpoiler }
+  studios(isMain: true) { nodes { id name } }
+  staff(perPage: 6, sort: RELEVANCE) { edges { role node { id name { full } } } }
+`;
+
+// AniList media formats mapped to the type labels MyAnimeList uses
+const FORMAT_LABELS = {
+  TV: 'TV',
+  TV_SHORT: 'TV',
+  MOVIE: 'Movie',
+  SPECIAL: 'Special',
+  OVA: 'OVA',
+  ONA: 'ONA',
+  MUSIC: 'Music',
+  NOVEL: 'Light Novel',
+  ONE_SHOT: 'One-shot'
+};
+
+// AniList relation types mapped to Jikan's relation names
+const RELATION_LABELS = {
+  ADAPTATION: 'Adaptation',
+  SOURCE: 'Adaptation',
+  PREQUEL: 'Prequel',
+  SEQUEL: 'Sequel',
+  PARENT: 'Parent Story',
+  SIDE_STORY: 'Side Story',
+  CHARACTER: 'Character',
+  SUMMARY: 'Summary',
+  ALTERNATIVE: 'Alternative Version',
+  SPIN_OFF: 'Spin-Off',
+  COMPILATION: 'Summary',
+  CONTAINS: 'Full Story',
+  OTHER: 'Other'
+};
+
+// AniList media statuses mapped to the ones filters use
+const STATUS_KEYS = {
+  FINISHED: 'finished',
+  RELEASING: 'ongoing',
+  NOT_YET_RELEASED: 'upcoming',
+  HIATUS: 'hiatus',
+  CANCELLED: 'cancelled'
+};
+
+const SEASONS = ['WINTER', 'SPRING', 'SUMMER', 'FALL'];
+
+// A season lineup is read 50 entries a page, up to this many pages
+const MAX_SEASON_PAGES = 3;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Japan has no daylight saving time, so broadcast slots are a fixed offset from UTC
+const JST_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+// Tag rank (0-100, how strongly voters agree a tag applies) needed to count as a theme
+const THEME_TAG_MIN_RANK = 60;
+
+// Fields for the works listed under a studio or staff member; their details are fetched per page
+const WORK_FIELDS = 'id idMal type title { romaji english } coverImage { large } siteUrl';
+
+// Jikan-style `format` filters expressed as AniList media arguments
+const FORMAT_FILTERS = {
+  manhwa: 'format: MANGA, countryOfOrigin: "KR"',
+  manhua: 'format: MANGA, countryOfOrigin: "CN"',
+  lightnovel: 'format: NOVEL',
+  oneshot: 'format: ONE_SHOT'
+};
+
+// Types of the variables a page query's filter can use. AniList rejects queries declaring variables they don't use,
+// so each query declares only the ones it is given
+const PAGE_VARIABLE_TYPES = {
+  search: 'String',
+  genre: 'String'
+};
+
+/**
+ * Catalog provider backed by the AniList GraphQL API.
+ * Items carry AniList ids in `id` and the matching MyAnimeList id in `malId`.
+ */
+function createAniListProvider({ url, rateLimit }, cache) {
+  const limiter = createRateLimiter(rateLimit);
+  
+  // Cached responses skip the queue entirely
+  function query(ttlClass, graphql, variables) {
+    const hash = crypto.createHash('sha1').update(graphql + JSON.stringify(variables)).digest('hex');
+    
+    return cache.wrap(`anilist:${ttlClass}:${hash}`, ttlClass, async () => {
+      const response = await limiter.schedule(signal => axios.post(url, { query: graphql, variables }, { signal }), schedulingOptions());
+      return response.data.data;
+    });
+  }
+  
+  function mediaTypeEnum(mediaType) {
+    return mediaType === 'anime' ? 'ANIME' : 'MANGA';
+  }
+  
+  function typeLabel(media) {
+    if (media.format === 'MANGA') {
+      if (media.countryOfOrigin === 'KR') return 'Manhwa';
+      if (media.countryOfOrigin === 'CN') return 'Manhua';
+      return 'Manga';
+    }
+    
+    return FORMAT_LABELS[media.format] || (media.type === 'ANIME' ? 'TV' : 'Manga');
+  }
+  
+  // AniList only knows when the next episode airs; turn that into a weekly slot like Jikan's
+  function broadcastSlot(nextAiringEpisode) {
+    if (!nextAiringEpisode) {
+      return null;
+    }
+    
+    const jst = new Date(nextAiringEpisode.airingAt * 1000 + JST_OFFSET_MS);
+    
+    return {
+      day: WEEKDAYS[jst.getUTCDay()],
+      time: `${String(jst.getUTCHours()).padStart(2, '0')}:${String(jst.getUTCMinutes()).padStart(2, '0')}`,
+      timezone: 'Asia/Tokyo'
+    };
+  }
+  
+  // Convert an AniList Media object into the item shape the cards use
+  function normalize(media) {
+    const creators = media.type === 'ANIME'
+      ? (media.studios?.nodes || []).map(s => s.name)
+      : (media.staff?.edges || [])
+          .filter(e => /story|art/i.test(e.role))
+          .map(e => e.node.name.full);
+    
+    // Only the tags AniList users agree on count as themes, and never spoilers
+    const tags = (media.tags || []).filter(t => !t.isMediaSpoiler && t.rank >= THEME_TAG_MIN_RANK);
+    
+    const item = {
+      id: media.id,
+      malId: media.idMal,
+      title: media.title.romaji || media.title.english,
+      titleEnglish: media.title.english || null,
+      titleJapanese: media.title.native || null,
+      creator: [...new Set(creators)].join(', ') || "Unknown",
+      creators: [...new Set(creators)],
+      credits: [
+        ...(media.studios?.nodes || []).map(s => ({ id: s.id, name: s.name, kind: 'studio', role: 'Studio' })),
+        ...(media.staff?.edges || []).map(e => ({ id: e.node.id, name: e.node.name.full, kind: 'person', role: e.role }))
+      ],
+      type: typeLabel(media),
+      genres: media.genres || [],
+      themes: tags.filter(t => t.category !== 'Demographic').map(t => t.name),
+      demographics: tags.filter(t => t.category === 'Demographic').map(t => t.name),
+      description: media.description ? media.description.replace(/<[^>]+>/g, '') : "No description available",
+      image: media.coverImage?.large,
+      url: media.siteUrl,
+      score: media.averageScore ? media.averageScore / 10 : null,
+      
+      // AniList's popularity is its count of list members; it has no rank like MyAnimeList's
+      members: media.popularity ?? null,
+      popularity: null,
+      year: media.startDate?.year || null,
+      startDate: media.startDate?.year && media.startDate.month && media.startDate.day
+        ? [media.startDate.year, media.startDate.month, media.startDate.day].map(n => String(n).padStart(2, '0')).join('-')
+        : null,
+      status: STATUS_KEYS[media.status] || null,
+      nsfw: Boolean(media.isAdult)
+    };
+    
+    if (media.type === 'ANIME') {
+      item.episodes = media.episodes;
+      item.broadcast = broadcastSlot(media.nextAiringEpisode);
+    } else {
+      item.chapters = media.chapters;
+      item.volumes = media.volumes;
+    }
+    
+    return item;
+  }
+  
+  async function page(ttlClass, mediaType, filter, variables, { limit, page = 1, format, sfw }) {
+    const formatFilter = (FORMAT_FILTERS[format] ? `, ${FORMAT_FILTERS[format]}` : '') + (sfw ? ', isAdult: false' : '');
+    const declarations = Object.keys(variables).map(name => `, $${name}: ${PAGE_VARIABLE_TYPES[name]}`).join('');
+    
+    const data = await query(ttlClass, `
+      query ($type: MediaType, $page: Int, $perPage: Int${declarations}) {
+        Page(page: $page, perPage: $perPage) {
+          media(type: $type, ${filter}${formatFilter}) { ${MEDIA_FIELDS} }
+        }
+      }
+    `, { type: mediaTypeEnum(mediaType), page, perPage: limit, ...variables });
+    
+    return data.Page.media.map(normalize);
+  }
+  
+  async function search(mediaType, search, { limit = 1, orderBy, format, sfw } = {}) {
+    const sort = orderBy === 'score' ? 'SCORE_DESC' : 'SEARCH_MATCH';
+    return page('search', mediaType, `search: $search, sort: ${sort}`, { search }, { limit, format, sfw });
+  }
+  
+  async function getDetails(mediaType, id) {
+    const data = await query('details', `
+      query ($id: Int, $type: MediaType) {
+        Media(id: $id, type: $type) { ${MEDIA_FIELDS} }
+      }
+    `, { id, type: mediaTypeEnum(mediaType) });
+    
+    return normalize(data.Media);
+  }
+  
+  async function getDetailsByMalId(mediaType, malId) {
+    const data = await query('details', `
+      query ($idMal: Int, $type: MediaType) {
+        Media(idMal: $idMal, type: $type) { ${MEDIA_FIELDS} }
+      }
+    `, { idMal: malId, type: mediaTypeEnum(mediaType) });
+    
+    return normalize(data.Media);
+  }
+  
+  async function getRecommendations(mediaType, id) {
+    const data = await query('recommendations', `
+      query ($id: Int, $type: MediaType) {
+        Media(id: $id, type: $type) {
+          recommendations(perPage: 25, sort: RATING_DESC) {
+            nodes {
+              rating
+              mediaRecommendation { id idMal title { romaji english } coverImage { large } siteUrl }
+            }
+          }
+        }
+      }
+    `, { id, type: mediaTypeEnum(mediaType) });
+    
+    return data.Media.recommendations.nodes
+      .filter(node => node.mediaRecommendation && node.rating > 0)
+      .map(node => ({
+        item: {
+          id: node.mediaRecommendation.id,
+          malId: node.mediaRecommendation.idMal,
+          title: node.mediaRecommendation.title.romaji || node.mediaRecommendation.title.english,
+          image: node.mediaRecommendation.coverImage?.large,
+          url: node.mediaRecommendation.siteUrl
+        },
+        votes: node.rating
+      }));
+  }
+  
+  async function getTop(mediaType, { limit = 5, page: pageNumber = 1, format, sfw } = {}) {
+    return page('top', mediaType, 'sort: SCORE_DESC', {}, { limit, page: pageNumber, format, sfw });
+  }
+  
+  async function getByGenre(mediaType, genre, { limit = 5, page: pageNumber = 1, format, sfw } = {}) {
+    return page('genre', mediaType, 'genre: $genre, sort: SCORE_DESC', { genre }, { limit, page: pageNumber, format, sfw });
+  }
+  
+  async function getSeason({ year, season, sfw } = {}) {
+    // Without a season, use the one airing now
+    const now = new Date();
+    const seasonEnum = season ? season.toUpperCase() : SEASONS[Math.floor(now.getMonth() / 3)];
+    const seasonYear = year || now.getFullYear();
+    const items = [];
+    
+    for (let page = 1; page <= MAX_SEASON_PAGES; page++) {
+      const data = await query('season', `
+        query ($season: MediaSeason, $seasonYear: Int, $page: Int) {
+          Page(page: $page, perPage: 50) {
+            pageInfo { hasNextPage }
+            media(type: ANIME, season: $season, seasonYear: $seasonYear, sort: POPULARITY_DESC${sfw ? ', isAdult: false' : ''}) { ${MEDIA_FIELDS} }
+          }
+        }
+      `, { season: seasonEnum, seasonYear, page });
+      
+      items.push(...data.Page.media.map(normalize));
+      
+      if (!data.Page.pageInfo.hasNextPage) {
+        break;
+      }
+    }
+    
+    return items;
+  }
+  
+  // Studios and the most relevant staff are part of the details already
+  async function getCredits(mediaType, id) {
+    return (await getDetails(mediaType, id)).credits;
+  }
+  
+  function workItem(node) {
+    return {
+      id: node.id,
+      malId: node.idMal,
+      title: node.title.romaji || node.title.english,
+      image: node.coverImage?.large,
+      url: node.siteUrl
+    };
+  }
+  
+  async function getCreator(kind, id, { mediaType = 'anime', limit = 25, sfw } = {}) {
+    if (kind === 'studio') {
+      const data = await query('creators', `
+        query ($id: Int, $perPage: Int) {
+          Studio(id: $id) {
+            id name siteUrl
+            media(isMain: true, sort: POPULARITY_DESC, perPage: $perPage) { nodes { ${WORK_FIELDS} isAdult } }
+          }
+        }
+      `, { id, perPage: limit });
+      
+      // Studios only make anime
+      const works = mediaType === 'anime'
+        ? data.Studio.media.nodes.filter(node => node.type === 'ANIME' && !(sfw && node.isAdult))
+        : [];
+      
+      return {
+        creator: { id, name: data.Studio.name, kind, image: null, url: data.Studio.siteUrl },
+        works: works.map(node => ({ item: workItem(node), role: 'Studio' }))
+      };
+    }
+    
+    const data = await query('creators', `
+      query ($id: Int, $type: MediaType, $perPage: Int) {
+        Staff(id: $id) {
+          id name { full } image { large } siteUrl
+          staffMedia(type: $type, sort: POPULARITY_DESC, perPage: $perPage) { edges { staffRole node { ${WORK_FIELDS} isAdult } } }
+        }
+      }
+    `, { id, type: mediaTypeEnum(mediaType), perPage: limit });
+    
+    // One edge per role, so an entry can come up more than once
+    const works = new Map();
+    
+    data.Staff.staffMedia.edges.filter(edge => !(sfw && edge.node.isAdult)).forEach(edge => {
+      if (works.has(edge.node.id)) {
+        works.get(edge.node.id).role += `, ${edge.staffRole}`;
+      } else {
+        works.set(edge.node.id, { item: workItem(edge.node), role: edge.staffRole });
+      }
+    });
+    
+    return {
+      creator: { id, name: data.Staff.name.full, kind, image: data.Staff.image?.large, url: data.Staff.siteUrl },
+      works: [...works.values()]
+    };
+  }
+  
+  async function getRelations(mediaType, id) {
+    const data = await query('relations', `
+      query ($id: Int, $type: MediaType) {
+        Media(id: $id, type: $type) {
+          relations { edges { relationType node { id type title { romaji english } siteUrl } } }
+        }
+      }
+    `, { id, type: mediaTypeEnum(mediaType) });
+    
+    // Group the edges by relation name like Jikan does
+    const relations = new Map();
+    
+    data.Media.relations.edges.forEach(edge => {
+      const relation = RELATION_LABELS[edge.relationType] || 'Other';
+      
+      if (!relations.has(relation)) {
+        relations.set(relation, { relation, entries: [] });
+      }
+      
+      relations.get(relation).entries.push({
+        id: edge.node.id,
+        mediaType: edge.node.type === 'ANIME' ? 'anime' : 'manga',
+        title: edge.node.title.romaji || edge.node.title.english,
+        url: edge.node.siteUrl
+      });
+    });
+    
+    return [...relations.values()];
+  }
+  
+  return {
+    name: 'anilist',
+    limiter,
+    label: 'AniList',
+    search,
+    getDetails,
+    getDetailsByMalId,
+    getRecommendations,
+    getTop,
+    getByGenre,
+    getSeason,
+    getRelations,
+    getCredits,
+    getCreator
+  };
+}
+
+module.exports = {
+  createAniListProvider
+};
@@ -0,0 +1,54 @@
+const config = require('../../config');
+const httpError = require('../httpError');
+const { createCache } = require('../cache');
+const { createJikanProvider } = require('./jikan');
+const { createAniListProvider } = require('./anilist');
+const { createSnapshot, withSnapshot } = require('../snapshot');
+
+/**
+ * Catalog providers all expose the same interface and return normalized items:
+ *   search(mediaType, query, { limit, orderBy, format, sfw })
+ *   getDetails(mediaType, id)
+ *   getDetailsByMalId(mediaType, malId)
+ *   getRecommendations(mediaType, id) -> [{ item, votes }]
+ *   getTop(mediaType, { limit, page, format, sfw })
+ *   getByGenre(mediaType, genreName, { limit, page, format, sfw })
+ *   getRelations(mediaType, id) -> [{ relation, entries: [{ id, mediaType, title, url }] }]
+ *   getSeason({ year, season, sfw }) -> anime of that season ("winter", "spring", "summer", "fall"), or the current one
+ *   getCredits(mediaType, id) -> [{ id, name, kind, role }], the studios, authors and staff of an entry
+ *   getCreator(kind, id, { mediaType, limit, sfw }) -> { creator: { id, name, kind, image, url }, works: [{ item, role }] }
+ * `format` narrows manga results to one of Jikan's manga types ("manhwa", "lightnovel"... see mediaTypes.js) and `sfw` leaves out adult entries.
+ * Detailed items also carry `titleEnglish`, `titleJapanese`, `themes`, `demographics`, `creators`, `year`, `startDate`,
+ * `status` (see filters.js), `nsfw`, `members` (how many users list it) and `popularity` (its MyAnimeList rank by members); manga has `chapters` and `volumes`, anime `episodes` and `broadcast` ({ day, time, timezone } of its weekly slot, or null).
+ * `credits` are the same creators with ids: { id, name, kind: "person" or "studio", role }, the ids `getCreator` takes.
+ */
+const catalogCache = createCache(config.cache);
+
+const catalogProviders = {
+  jikan: createJikanProvider(config.jikan, catalogCache),
+  anilist: createAniListProvider(config.anilist, catalogCache)
+};
+
+// In record or replay mode every provider call goes through the offline snapshot
+const snapshot = config.snapshot.mode === 'off' ? null : createSnapshot(config.snapshot);
+
+const providers = Object.fromEntries(Object.entries(catalogProviders).map(([name, provider]) => (
+  [name, snapshot ? withSnapshot(provider, snapshot) : provider]
+)));
+
+// Look up a provider by name, falling back to the configured default
+function getProvider(name) {
+  const providerName = (name || config.catalogProvider).toLowerCase();
+  
+  if (!providers[providerName]) {
+    throw httpError(400, `Unknown catalog provider "${name}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+  
+  return providers[providerName];
+}
+
+module.exports = {
+  getProvider,
+  catalogProviders,
+  catalogCache
+};
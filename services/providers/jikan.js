@@ -0,0 +1,261 @@
+const axios = require('axios');
+const { createRateLimiter } = require('../rateLimiter');
+const { schedulingOptions } = require('../requestContext');
+
+// MyAnimeList airing/publishing statuses mapped to the ones filters use
+const STATUS_KEYS = {
+  'Finished Airing': 'finished',
+  'Currently Airing': 'ongoing',
+  'Not yet aired': 'upcoming',
+  'Finished': 'finished',
+  'Publishing': 'ongoing',
+  'On Hiatus': 'hiatus',
+  'Discontinued': 'cancelled',
+  'Not yet published': 'upcoming'
+};
+
+// A season lineup is read 25 entries a page, up to this many pages
+const MAX_SEASON_PAGES = 4;
+
+/**
+ * Catalog provider backed by the Jikan (MyAnimeList) REST API.
+ * `mediaType` is always the catalog type, "anime" or "manga".
+ */
+function createJikanProvider({ baseUrl, rateLimit }, cache) {
+  const limiter = createRateLimiter(rateLimit);
+  
+  // Genre name -> MAL genre id, loaded once per media type
+  const genreIds = {};
+  
+  // Cached responses skip the queue entirely
+  function get(path, ttlClass) {
+    return cache.wrap(`jikan:${ttlClass}:${path}`, ttlClass, async () => {
+      const response = await limiter.schedule(signal => axios.get(`${baseUrl}${path}`, { signal }), schedulingOptions());
+      return response.data;
+    });
+  }
+  
+  // Convert a Jikan entry into the item shape the cards use
+  function normalize(mediaType, entry) {
+    const creators = mediaType === 'anime' ? entry.studios : entry.authors;
+    const run = mediaType === 'anime' ? entry.aired : entry.published;
+    
+    const item = {
+      id: entry.mal_id,
+      malId: entry.mal_id,
+      title: entry.title,
+      titleEnglish: entry.title_english || null,
+      titleJapanese: entry.title_japanese || null,
+      creator: creators?.map(c => c.name).join(', ') || "Unknown",
+      creators: (creators || []).map(c => c.name),
+      credits: (creators || []).map(c => ({
+        id: c.mal_id,
+        name: c.name,
+        kind: mediaType === 'anime' ? 'studio' : 'person',
+        role: mediaType === 'anime' ? 'Studio' : 'Author'
+      })),
+      type: entry.type || (mediaType === 'anime' ? "TV" : "Manga"),
+      genres: (entry.genres || []).map(g => g.name),
+      themes: (entry.themes || []).map(t => t.name),
+      demographics: (entry.demographics || []).map(d => d.name),
+      description: entry.synopsis || "No description available",
+      image: entry.images?.jpg?.image_url,
+      url: entry.url,
+      score: entry.score,
+      members: entry.members ?? null,
+      popularity: entry.popularity ?? null,
+      year: run?.prop?.from?.year || entry.year || null,
+      startDate: run?.from ? run.from.slice(0, 10) : null,
+      status: STATUS_KEYS[entry.status] || null,
+      nsfw: (entry.explicit_genres || []).length > 0 || /^Rx/.test(entry.rating || '')
+    };
+    
+    if (mediaType === 'anime') {
+      item.episodes = entry.episodes;
+      
+      // Weekly slot in Japan, e.g. { day: "Saturday", time: "23:30", timezone: "Asia/Tokyo" }
+      item.broadcast = entry.broadcast?.day && entry.broadcast.time
+        ? { day: entry.broadcast.day.replace(/s$/, ''), time: entry.broadcast.time, timezone: entry.broadcast.timezone }
+        : null;
+    } else {
+      item.chapters = entry.chapters;
+      item.volumes = entry.volumes;
+    }
+    
+    return item;
+  }
+  
+  // Jikan's `type` filter, e.g. "manhwa" or "manhua" for manga, plus its adult-content filter
+  function formatFilter(format, sfw) {
+    return (format ? `&type=${format}` : '') + (sfw ? '&sfw=true' : '');
+  }
+  
+  async function search(mediaType, query, { limit = 1, orderBy, format, sfw } = {}) {
+    const order = orderBy ? `&order_by=${orderBy}&sort=desc` : '';
+    const body = await get(`/${mediaType}?q=${encodeURIComponent(query)}${order}${formatFilter(format, sfw)}&limit=${limit}`, 'search');
+    return body.data.map(entry => normalize(mediaType, entry));
+  }
+  
+  async function getDetails(mediaType, id) {
+    const body = await get(`/${mediaType}/${id}`, 'details');
+    return normalize(mediaType, body.data);
+  }
+  
+  // Jikan ids are MyAnimeList ids already
+  function getDetailsByMalId(mediaType, malId) {
+    return getDetails(mediaType, malId);
+  }
+  
+  async function getRecommendations(mediaType, id) {
+    const body = await get(`/${mediaType}/${id}/recommendations`, 'recommendations');
+    
+    return body.data.map(rec => ({
+      item: {
+        id: rec.entry.mal_id,
+        malId: rec.entry.mal_id,
+        title: rec.entry.title,
+        image: rec.entry.images?.jpg?.image_url,
+        url: rec.entry.url
+      },
+      votes: rec.votes
+    }));
+  }
+  
+  async function getTop(mediaType, { limit = 5, page = 1, format, sfw } = {}) {
+    const body = await get(`/top/${mediaType}?limit=${limit}${page > 1 ? `&page=${page}` : ''}${formatFilter(format, sfw)}`, 'top');
+    return body.data.map(entry => normalize(mediaType, entry));
+  }
+  
+  async function getByGenre(mediaType, genre, { limit = 5, page = 1, format, sfw } = {}) {
+    if (!genreIds[mediaType]) {
+      const body = await get(`/genres/${mediaType}`, 'genres');
+      genreIds[mediaType] = new Map(body.data.map(g => [g.name.toLowerCase(), g.mal_id]));
+    }
+    
+    const genreId = genreIds[mediaType].get(genre.toLowerCase());
+    
+    if (!genreId) {
+      return [];
+    }
+    
+    const body = await get(`/${mediaType}?genres=${genreId}&order_by=score&sort=desc${formatFilter(format, sfw)}&limit=${limit}${page > 1 ? `&page=${page}` : ''}`, 'genre');
+    return body.data.map(entry => normalize(mediaType, entry));
+  }
+  
+  async function getSeason({ year, season, sfw } = {}) {
+    const path = year ? `/seasons/${year}/${season}` : '/seasons/now';
+    const items = [];
+    
+    for (let page = 1; page <= MAX_SEASON_PAGES; page++) {
+      const body = await get(`${path}?page=${page}${sfw ? '&sfw=true' : ''}`, 'season');
+      items.push(...body.data.map(entry => normalize('anime', entry)));
+      
+      if (!body.pagination?.has_next_page) {
+        break;
+      }
+    }
+    
+    return items;
+  }
+  
+  // The entry's studios or authors, plus the staff of an anime
+  async function getCredits(mediaType, id) {
+    const item = await getDetails(mediaType, id);
+    
+    if (mediaType !== 'anime') {
+      return item.credits;
+    }
+    
+    const body = await get(`/anime/${id}/staff`, 'creators');
+    
+    return [
+      ...item.credits,
+      ...body.data.map(staff => ({
+        id: staff.person.mal_id,
+        name: staff.person.name,
+        kind: 'person',
+        role: staff.positions.join(', ')
+      }))
+    ];
+  }
+  
+  async function getCreator(kind, id, { mediaType = 'anime', limit = 25, sfw } = {}) {
+    if (kind === 'studio') {
+      const producer = (await get(`/producers/${id}`, 'creators')).data;
+      const name = (producer.titles || []).find(t => t.type === 'Default')?.title || producer.titles?.[0]?.title;
+      
+      // Studios only make anime; their best-known work first
+      const works = mediaType === 'anime'
+        ? (await get(`/anime?producers=${id}&order_by=members&sort=desc${formatFilter(null, sfw)}&limit=${limit}`, 'creators')).data
+        : [];
+      
+      return {
+        creator: { id, name, kind, image: producer.images?.jpg?.image_url, url: producer.url },
+        works: works.map(entry => ({ item: normalize('anime', entry), role: 'Studio' }))
+      };
+    }
+    
+    const person = (await get(`/people/${id}/full`, 'creators')).data;
+    const works = new Map();
+    
+    // Each position is listed on its own, so an entry can come up more than once
+    (person[mediaType] || []).forEach(credit => {
+      const entry = credit[mediaType];
+      
+      if (works.has(entry.mal_id)) {
+        works.get(entry.mal_id).role += `, ${credit.position}`;
+        return;
+      }
+      
+      works.set(entry.mal_id, {
+        item: {
+          id: entry.mal_id,
+          malId: entry.mal_id,
+          title: entry.title,
+          image: entry.images?.jpg?.image_url,
+          url: entry.url
+        },
+        role: credit.position
+      });
+    });
+    
+    return {
+      creator: { id, name: person.name, kind, image: person.images?.jpg?.image_url, url: person.url },
+      works: [...works.values()].slice(0, limit)
+    };
+  }
+  
+  async function getRelations(mediaType, id) {
+    const body = await get(`/${mediaType}/${id}/relations`, 'relations');
+    
+    return body.data.map(relation => ({
+      relation: relation.relation,
+      entries: relation.entry.map(entry => ({
+        id: entry.mal_id,
+        mediaType: entry.type,
+        title: entry.name,
+        url: entry.url
+      }))
+    }));
+  }
+  
+  return {
+    name: 'jikan',
+    limiter,
+    label: 'MyAnimeList',
+    search,
+    getDetails,
+    getDetailsByMalId,
+    getRecommendations,
+    getTop,
+    getByGenre,
+    getSeason,
+    getRelations,
+    getCredits,
+    getCreator
+  };
+}
+
+module.exports = {
+  createJikanProvider
+};
@@ -0,0 +1,193 @@
+/**
+ * Token-bucket rate limiter for upstream catalog APIs.
+ *
+ * Requests are held until both the per-second and per-minute budgets have a token,
+ * interactive requests are always dispatched ahead of background ones, and
+ * 429/5xx responses are retried with exponential backoff (honoring Retry-After).
+ * Pending requests are dropped as soon as their AbortSignal fires.
+ */
+
+// Dispatch order: every interactive job goes before any background job
+const PRIORITIES = ['interactive', 'background'];
+
+function createBucket(capacity, refillPerMs) {
+  return { capacity, refillPerMs, tokens: capacity, updatedAt: Date.now() };
+}
+
+function refill(bucket, now) {
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+  bucket.updatedAt = now;
+}
+
+// Milliseconds until the bucket holds a whole token again
+function waitTime(bucket) {
+  return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / bucket.refillPerMs);
+}
+
+function cancelledError() {
+  const error = new Error('Request cancelled');
+  error.code = 'ERR_CANCELED';
+  return error;
+}
+
+function isRetryable(error) {
+  const status = error.response?.status;
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+// Parse a Retry-After header given either in seconds or as an HTTP date
+function retryAfterMs(error) {
+  const header = error.response?.headers?.['retry-after'];
+  
+  if (!header) {
+    return null;
+  }
+  
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createRateLimiter({ perSecond, perMinute, maxRetries = 3, retryBaseDelay = 1000 }) {
+  const secondBucket = createBucket(perSecond, perSecond / 1000);
+  const minuteBucket = createBucket(perMinute, perMinute / 60000);
+  const queues = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  
+  let timer = null;
+  let blockedUntil = 0; // Set when the upstream tells us to back off
+  
+  function nextJob() {
+    for (const priority of PRIORITIES) {
+      if (queues[priority].length > 0) {
+        return queues[priority].shift();
+      }
+    }
+    return null;
+  }
+  
+  function hasPending() {
+    return PRIORITIES.some(p => queues[p].length > 0);
+  }
+  
+  function pump() {
+    timer = null;
+    
+    while (hasPending()) {
+      const now = Date.now();
+      refill(secondBucket, now);
+      refill(minuteBucket, now);
+      
+      const wait = Math.max(blockedUntil - now, waitTime(secondBucket), waitTime(minuteBucket));
+      
+      if (wait > 0) {
+        timer = setTimeout(pump, wait);
+        return;
+      }
+      
+      secondBucket.tokens--;
+      minuteBucket.tokens--;
+      run(nextJob());
+    }
+  }
+  
+  function enqueue(job, { front = false } = {}) {
+    if (job.signal?.aborted) {
+      settle(job, job.reject, cancelledError());
+      return;
+    }
+    
+    const queue = queues[job.priority];
+    front ? queue.unshift(job) : queue.push(job);
+    
+    if (!timer) {
+      pump();
+    }
+  }
+  
+  function settle(job, fn, value) {
+    job.signal?.removeEventListener('abort', job.onAbort);
+    fn(value);
+  }
+  
+  async function run(job) {
+    try {
+      const result = await job.requestFn(job.signal);
+      settle(job, job.resolve, result);
+    } catch (error) {
+      if (job.attempt >= maxRetries || !isRetryable(error) || job.signal?.aborted) {
+        settle(job, job.reject, error);
+        return;
+      }
+      
+      const delay = retryAfterMs(error) ?? retryBaseDelay * 2 ** job.attempt;
+      job.attempt++;
+      
+      // A 429 means the shared budget is spent, so hold back every request, not just this one
+      if (error.response.status === 429) {
+        blockedUntil = Math.max(blockedUntil, Date.now() + delay);
+      }
+      
+      console.warn(`Upstream returned ${error.response.status}, retrying in ${delay}ms (attempt ${job.attempt} of ${maxRetries})`);
+      setTimeout(() => enqueue(job, { front: true }), delay);
+    }
+  }
+  
+  /**
+   * Run `requestFn(signal)` once the rate limit allows it.
+   * Options: `priority` ("interactive" or "background") and an AbortSignal `signal`.
+   */
+  function schedule(requestFn, { priority = 'interactive', signal } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = {
+        requestFn,
+        resolve,
+        reject,
+        signal,
+        priority: PRIORITIES.includes(priority) ? priority : 'interactive',
+        attempt: 0
+      };
+      
+      // Drop the job from the queue if the caller gives up before it runs
+      job.onAbort = () => {
+        const queue = queues[job.priority];
+        const index = queue.indexOf(job);
+        
+        if (index !== -1) {
+          queue.splice(index, 1);
+        }
+        
+        // Nothing left to wait for
+        if (timer && !hasPending()) {
+          clearTimeout(timer);
+          timer = null;
+        }
+        
+        settle(job, reject, cancelledError());
+      };
+      
+      signal?.addEventListener('abort', job.onAbort, { once: true });
+      enqueue(job);
+    });
+  }
+  
+  function stats() {
+    return {
+      pending: Object.fromEntries(PRIORITIES.map(p => [p, queues[p].length])),
+      blockedFor: Math.max(0, blockedUntil - Date.now())
+    };
+  }
+  
+  return {
+    schedule,
+    stats
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  PRIORITIES
+};
@@ -1,66 +1,157 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const httpError = require('./httpError');
+const { reportProgress } = require('./requestContext');
+const { MEDIA_TYPES } = require('./mediaTypes');
 
-// Configure Google Generative AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: 'gemini-1.5-pro' });
+// Titles asked for in one round; a second round replaces the ones that didn't check out
+const SUGGESTIONS_PER_ROUND = 12;
+const MAX_ROUNDS = 2;
+
+// Search results looked at when matching a suggested title to a catalog entry
+const MATCH_CANDIDATES = 5;
+
+function buildPrompt({ titles, preferences, genres, exclude, resultType, count, avoid, preferLesserKnown }) {
+  // e.g. "manhwa (Korean comics)" or "light novels"
+  const { plural, origin } = MEDIA_TYPES[resultType];
+  const label = origin ? `${plural} (${origin} comics)` : plural;
+  
+  return `
+    As an anime and manga expert, please recommend ${count} ${label} based on the following:
+    
+    Titles I've enjoyed: ${titles.join(', ')}
+    ${preferences ? `What I like about them: ${preferences}` : ''}
+    ${genres.length > 0 ? `Preferred genres: ${genres.join(', ')}` : ''}
+    ${exclude.length > 0 ? `Please exclude: ${exclude.join(', ')}` : ''}
+    ${avoid.length > 0 ? `Don't suggest any of these: ${avoid.join(', ')}` : ''}
+    ${preferLesserKnown ? 'Prefer lesser-known titles over famous ones I have probably already heard of.' : ''}
+    
+    Format your response as JSON with this structure:
+    {
+      "recommendations": [
+        {
+          "title": "Title as listed on MyAnimeList",
+          "similarTo": "Most similar to which title I mentioned",
+          "whyRecommended": "Why you're recommending this based on my preferences"
+        }
+      ]
+    }
+    
+    Only return the JSON without any other text. Ensure all recommendations are real, existing ${label} titles.
+  `;
+}
+
+// Pull the suggestions out of the model's answer, which may be wrapped in a markdown code block
+function parseSuggestions(text) {
+  const jsonMatch = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  
+  let json;
+  
+  try {
+    json = JSON.parse(jsonMatch ? jsonMatch[1] : text);
+  } catch (error) {
+    console.error('Failed to parse the model\'s answer:', error.message);
+    return [];
+  }
+  
+  return (Array.isArray(json?.recommendations) ? json.recommendations : [])
+    .filter(s => s && typeof s.title === 'string' && s.title.trim())
+    .map(s => ({
+      title: s.title.trim(),
+      similarTo: typeof s.similarTo === 'string' ? s.similarTo : null,
+      whyRecommended: typeof s.whyRecommended === 'string' ? s.whyRecommended : null
+    }));
+}
+
+function normalizeTitle(title) {
+  return (title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+// Find the catalog entry a suggested title names: an exact match on any of its titles, or else one it starts
+async function resolveSuggestion(provider, catalog, title, format) {
+  const results = await provider.search(catalog, title, { limit: MATCH_CANDIDATES, format });
+  const wanted = normalizeTitle(title);
+  const titlesOf = item => [item.title, item.titleEnglish, item.titleJapanese].map(normalizeTitle).filter(Boolean);
+  
+  return results.find(item => titlesOf(item).includes(wanted))
+    || results.find(item => titlesOf(item).some(t => t.startsWith(wanted)))
+    || null;
+}
 
 /**
- * Get manga/manhwa recommendations based on user preferences
+ * Ask the language model for titles and keep only the ones that resolve to a real catalog entry
+ * the user doesn't know yet (`isKnown`). Suggestions that can't be found are dropped as made up, and a
+ * second round asks for replacements while fewer than `count` are left.
+ * Returns { suggestions: [{ item, similarTo, whyRecommended }], dropped: [titles] }, where `item`
+ * is the catalog's own entry, so posters, scores and links are real.
  */
-async function getRecommendations(titles, preferences, genres, exclude) {
-  try {
-    // Build prompt for Gemini
-    const prompt = `
-      As a manga and manhwa expert, please recommend 5 manga or manhwa based on the following:
-      
-      Titles I've enjoyed: ${Array.isArray(titles) ? titles.join(', ') : titles}
-      ${preferences ? `What I like about them: ${preferences}` : ''}
-      ${genres ? `Preferred genres: ${genres}` : ''}
-      ${exclude ? `Please exclude: ${exclude}` : ''}
-      
-      Format your response as JSON with this structure:
-      {
-        "recommendations": [
-          {
-            "title": "Title",
-            "creator": "Author/Artist",
-            "type": "Manga or Manhwa",
-            "genres": ["Genre1", "Genre2"],
-            "description": "Brief description",
-            "similarTo": "Most similar to which title I mentioned",
-            "whyRecommended": "Why you're recommending this based on my preferences"
-          }
-        ]
-      }
-      
-      Only return the JSON without any other text. Ensure all manga/manhwa recommendations are real, existing titles.
-    `;
+async function suggestVerifiedTitles(provider, model, { titles, preferences, genres = [], exclude = [], resultType, catalog, format, count, preferLesserKnown = false, isKnown }) {
+  const suggestions = [];
+  const dropped = [];
+  const skipped = []; // Real titles the user already knows, or another name for one already kept
+  const asked = new Set(titles.map(normalizeTitle));
+  
+  for (let round = 0; round < MAX_ROUNDS && suggestions.length < count; round++) {
+    const avoid = [...titles, ...suggestions.map(s => s.item.title), ...dropped, ...skipped];
+    const prompt = buildPrompt({
+      titles, preferences, genres, exclude, resultType, count: SUGGESTIONS_PER_ROUND, avoid: round > 0 ? avoid : [], preferLesserKnown
+    });
     
-    // Generate recommendations
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
+    let text;
     
-    // Parse JSON from response
-    let jsonResponse;
     try {
-      // Extract JSON if it's wrapped in markdown code blocks
-      const jsonMatch = text.match(/```json\n([\s\S]*?)\n```/) || text.match(/```\n([\s\S]*?)\n```/);
-      const jsonString = jsonMatch ? jsonMatch[1] : text;
-      jsonResponse = JSON.parse(jsonString);
+      text = await model.generate(prompt, { catalog, count: SUGGESTIONS_PER_ROUND, avoid });
     } catch (error) {
-      console.error('Failed to parse JSON:', error);
-      throw new Error('Failed to generate proper recommendations');
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error asking the ${model.name} model for recommendations:`, error.message);
+      
+      // Keep what the first round found rather than failing the whole request
+      if (suggestions.length > 0) {
+        break;
+      }
+      
+      throw httpError(502, 'The AI model could not be reached. Please try again later');
     }
     
-    return jsonResponse;
+    const answer = parseSuggestions(text).filter(s => !asked.has(normalizeTitle(s.title)));
+    answer.forEach(s => asked.add(normalizeTitle(s.title)));
+    reportProgress('candidates', { count: answer.length });
     
-  } catch (error) {
-    console.error('Recommendation error:', error);
-    throw error;
+    for (const suggestion of answer) {
+      let item = null;
+      
+      try {
+        item = await resolveSuggestion(provider, catalog, suggestion.title, format);
+      } catch (error) {
+        if (error.code === 'ERR_CANCELED') {
+          throw error;
+        }
+        
+        console.error(`Error checking suggestion "${suggestion.title}":`, error.message);
+      }
+      
+      if (!item) {
+        dropped.push(suggestion.title);
+        continue;
+      }
+      
+      if (isKnown(item) || suggestions.some(s => s.item.id === item.id)) {
+        skipped.push(suggestion.title);
+        continue;
+      }
+      
+      suggestions.push({ item, similarTo: suggestion.similarTo, whyRecommended: suggestion.whyRecommended });
+    }
+  }
+  
+  if (dropped.length > 0) {
+    console.log(`Dropped AI suggestions that didn't check out: ${dropped.join(', ')}`);
   }
+  
+  return { suggestions, dropped };
 }
 
 module.exports = {
-  getRecommendations
-};
\ No newline at end of file
+  suggestVerifiedTitles
+};
@@ -0,0 +1,902 @@
+const httpError = require('./httpError');
+const { reportProgress } = require('./requestContext');
+const { applyFeedback, feedbackExcludeIds } = require('./profiles');
+const {
+  poolKey, loadPool, savePool, encodeCursor, decodeCursor, createPool, rerankHead, hydratePage
+} = require('./candidatePool');
+const { createScorer } = require('./similarity');
+const { normalizeFilters, matchesFilters } = require('./filters');
+const { getMediaType, catalogType, COMIC_FORMATS } = require('./mediaTypes');
+const { keyRole, keyCredits, creditReason } = require('./creators');
+const { franchiseFilter, createFranchiseGrouper } = require('./franchise');
+const { normalizeParticipants, createGroupScorer } = require('./group');
+const { getLanguageModel } = require('./llm');
+const { suggestVerifiedTitles } = require('./recommendation');
+
+// `standard` follows the recommendation graph, `seasonal` ranks one season's lineup,
+// `creators` follows the seeds' authors, studios and key staff to their other works
+// `group` ranks for several participants at once and `ai` asks a language model, checking its picks against the catalog
+const MODES = ['standard', 'seasonal', 'creators', 'group', 'ai'];
+
+// Recommendations per page unless the request asks for another count
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 25;
+
+// How many entries each fallback list (genre, top) adds to the candidate pool
+const FALLBACK_SIZE = 25;
+
+// How many of the top-voted candidates get their details up front to be reranked by content
+const RERANK_DEPTH = 15;
+
+// Each extra seed that recommends the same entry multiplies its vote total by this much
+const SHARED_SEED_BOOST = 0.5;
+
+// How many of a seed's key credits are followed, and how many works are taken from each
+const MAX_CREDITS_PER_SEED = 6;
+const CREATOR_WORKS = 25;
+
+// With full exploration the genre and top fallbacks start this many pages (of FALLBACK_SIZE) down their lists
+const MAX_EXPLORATION_PAGE = 4;
+
+// How many checked picks AI mode tries to collect before it stops asking the model for more
+const AI_POOL_SIZE = 15;
+
+// Seeds are either free-text titles or { id, title, weight } objects with a MyAnimeList id
+function seedLabel(seedInput) {
+  return typeof seedInput === 'string' ? seedInput : seedInput.title || `#${seedInput.id}`;
+}
+
+// Resolve every seed to a catalog entry, skipping the ones that can't be found.
+// With `preferredType`, searches look a little further for an entry of that type (e.g. "Manhwa").
+async function resolveSeeds(provider, titles, mediaType, preferredType) {
+  const seeds = [];
+  
+  for (const [index, seedInput] of titles.entries()) {
+    const query = seedLabel(seedInput);
+    
+    try {
+      let item;
+      
+      if (typeof seedInput === 'object' && seedInput.id) {
+        item = await provider.getDetailsByMalId(mediaType, seedInput.id);
+      } else {
+        const results = await provider.search(mediaType, query, { limit: preferredType ? 5 : 1 });
+        item = results.find(m => m.type === preferredType) || results[0];
+      }
+      
+      // Two spellings of the same series should only count once
+      if (item && !seeds.some(s => s.item.id === item.id)) {
+        seeds.push({ query, title: item.title, item, weight: Number(seedInput.weight) || 1 });
+      }
+      
+      reportProgress('seed', { query, title: item ? item.title : null, resolved: index + 1, total: titles.length });
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error resolving seed "${query}":`, error.message);
+      reportProgress('seed', { query, title: null, resolved: index + 1, total: titles.length });
+    }
+  }
+  
+  return seeds;
+}
+
+// Build a check for items the user already knows: the seeds and anything on their imported list
+function knownItemFilter(seeds, excludeIds = []) {
+  const seedIds = new Set(seeds.map(s => s.item.id));
+  const excluded = new Set(excludeIds.map(Number));
+  
+  return item => seedIds.has(item.id) || excluded.has(item.malId);
+}
+
+// Merge the recommendation lists of every seed into one ranked pool
+async function blendSeedRecommendations(provider, seeds, mediaType, isKnown = knownItemFilter(seeds)) {
+  const pool = new Map();
+  
+  for (const seed of seeds) {
+    let recs = [];
+    
+    try {
+      recs = await provider.getRecommendations(mediaType, seed.item.id);
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error fetching recommendations for ${seed.title}:`, error.message);
+    }
+    
+    recs.forEach(rec => {
+      const id = rec.item.id;
+      
+      // Never recommend one of the user's own titles back to them
+      if (isKnown(rec.item)) {
+        return;
+      }
+      
+      if (!pool.has(id)) {
+        pool.set(id, { item: rec.item, votes: 0, weightedVotes: 0, seeds: [] });
+      }
+      
+      const candidate = pool.get(id);
+      candidate.votes += rec.votes;
+      
+      // Votes through a seed the user loved count for more
+      candidate.weightedVotes += rec.votes * seed.weight;
+      candidate.seeds.push(seed.title);
+    });
+  }
+  
+  reportProgress('candidates', { count: pool.size });
+  
+  // Sum the votes across seeds and boost entries that several seeds agree on
+  return [...pool.values()]
+    .map(candidate => ({
+      ...candidate,
+      blendedScore: candidate.weightedVotes * (1 + SHARED_SEED_BOOST * (candidate.seeds.length - 1))
+    }))
+    .sort((a, b) => b.blendedScore - a.blendedScore);
+}
+
+// Pick the genre shared by the most seeds, along with the seeds that have it
+function mostCommonSeedGenre(seeds) {
+  const counts = new Map();
+  
+  seeds.forEach(seed => {
+    new Set(seed.item.genres).forEach(genre => {
+      if (!counts.has(genre)) {
+        counts.set(genre, { genre, seeds: [] });
+      }
+      counts.get(genre).seeds.push(seed.title);
+    });
+  });
+  
+  return [...counts.values()].sort((a, b) => b.seeds.length - a.seeds.length)[0] || null;
+}
+
+// Turn blended recommendations into pool candidates; their details are fetched per page
+function recommendationCandidates(blendedRecs, reason) {
+  return blendedRecs.map(rec => ({
+    item: rec.item,
+    detailed: false,
+    similarTo: rec.seeds,
+    whyRecommended: reason(rec),
+    votes: rec.votes,
+    blendedVotes: rec.blendedScore
+  }));
+}
+
+// Rank the pool's head by how closely each candidate resembles the seeds, and by novelty as far as `exploration` asks
+async function rankPool(provider, pool, seeds, blendedRecs, { depth = RERANK_DEPTH, exploration = 0 } = {}) {
+  await rerankHead(provider, pool, depth, corpus => createScorer(seeds, {
+    corpus,
+    maxVotes: blendedRecs.length > 0 ? blendedRecs[0].blendedScore : 0,
+    label: provider.label,
+    exploration
+  }));
+  
+  return pool;
+}
+
+// Fetch a genre or top list for a fallback stage. The more exploration, the further down the list it starts,
+// past the famous titles every seed leads to; a deep page that turns out empty falls back to the first
+async function fallbackList(fetchPage, exploration) {
+  const page = 1 + Math.round(exploration * (MAX_EXPLORATION_PAGE - 1));
+  const items = await fetchPage(page);
+  
+  return items.length > 0 || page === 1 ? items : fetchPage(1);
+}
+
+// Turn a list of fully detailed items (genre or top list) into pool candidates
+function listCandidates(items, similarTo, whyRecommended) {
+  return items.map(item => ({ item, detailed: true, similarTo, whyRecommended }));
+}
+
+// Follow each seed's key credits to their other works in `catalog`.
+// Candidates keep the credits that led to them, so the card can say what they share with which seed.
+async function creatorCandidates(provider, seeds, seedCatalog, catalog, { isKnown, sfw }) {
+  const found = new Map();
+  
+  for (const seed of seeds) {
+    let credits = [];
+    
+    try {
+      credits = keyCredits(await provider.getCredits(seedCatalog, seed.item.id)).slice(0, MAX_CREDITS_PER_SEED);
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error fetching credits for ${seed.title}:`, error.message);
+    }
+    
+    for (const credit of credits) {
+      let works = [];
+      
+      try {
+        ({ works } = await provider.getCreator(credit.kind, credit.id, { mediaType: catalog, limit: CREATOR_WORKS, sfw }));
+      } catch (error) {
+        if (error.code === 'ERR_CANCELED') {
+          throw error;
+        }
+        
+        console.error(`Error fetching works of ${credit.name}:`, error.message);
+      }
+      
+      // The creator's own list says what they did on the seed (e.g. "Story & Art") when the seed's credits don't
+      const seedWork = seedCatalog === catalog ? works.find(work => work.item.id === seed.item.id) : null;
+      const link = { ...credit, role: keyRole(seedWork?.role) || credit.role, seed: seed.title };
+      
+      works.filter(work => !isKnown(work.item)).forEach(work => {
+        if (!found.has(work.item.id)) {
+          // Studio lists come with full entries, people's lists only with stubs
+          found.set(work.item.id, { item: work.item, detailed: Array.isArray(work.item.genres), similarTo: [], credits: [], weight: 0 });
+        }
+        
+        const candidate = found.get(work.item.id);
+        
+        if (!candidate.credits.some(c => c.kind === link.kind && c.id === link.id)) {
+          candidate.credits.push(link);
+          candidate.weight += seed.weight;
+        }
+        if (!candidate.similarTo.includes(seed.title)) {
+          candidate.similarTo.push(seed.title);
+        }
+      });
+    }
+  }
+  
+  // Works sharing the most credits with the seeds first
+  return [...found.values()]
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ weight, ...candidate }) => ({
+      ...candidate,
+      whyRecommended: creditReason(candidate.credits[0], candidate.credits[0].seed)
+    }));
+}
+
+// Function to get anime or manga recommendations
+async function buildStandardPool(provider, mediaType, { titles, excludeIds, filters, exploration }) {
+  // Resolve every title the user entered
+  const seeds = await resolveSeeds(provider, titles, mediaType);
+  
+  if (seeds.length === 0) {
+    throw httpError(404, `Could not find ${mediaType} "${titles.map(seedLabel).join('", "')}"`);
+  }
+  
+  // Leave out the seeds' own sequels, movies and recaps too
+  const isKnown = await franchiseFilter(provider, seeds, mediaType, knownItemFilter(seeds, excludeIds));
+  const seedTitles = seeds.map(s => s.title);
+  
+  // Get recommendations for each seed and blend them into one ranking
+  const blendedRecs = await blendSeedRecommendations(provider, seeds, mediaType, isKnown);
+  
+  const candidates = recommendationCandidates(blendedRecs, rec =>
+    `Recommended by ${rec.votes} ${provider.label} users who also enjoyed ${rec.seeds.join(' and ')}`
+  );
+  
+  // Once the recommendations run out, continue with the seeds' creators, the seeds' main genre, then the top list
+  const stages = [
+    async () => {
+      console.log("Not enough recommendations, adding works by the same creators");
+      return creatorCandidates(provider, seeds, mediaType, mediaType, { isKnown, sfw: filters.sfw });
+    },
+    async () => {
+      const commonGenre = mostCommonSeedGenre(seeds);
+      
+      if (!commonGenre) {
+        return [];
+      }
+      
+      console.log("Not enough recommendations, adding genre-based recommendations");
+      const genreResults = await fallbackList(page => provider.getByGenre(mediaType, commonGenre.genre, { limit: FALLBACK_SIZE, page, sfw: filters.sfw }), exploration);
+      
+      return listCandidates(
+        genreResults.filter(item => !isKnown(item)), // Filter out the seeds and anything already on the user's list
+        commonGenre.seeds,
+        `Shares the ${commonGenre.genre} genre with ${commonGenre.seeds.join(' and ')}`
+      );
+    },
+    async () => {
+      console.log(`Still not enough recommendations, adding popular ${mediaType}`);
+      const topResults = await fallbackList(page => provider.getTop(mediaType, { limit: FALLBACK_SIZE, page, sfw: filters.sfw }), exploration);
+      
+      return listCandidates(
+        topResults.filter(item => !isKnown(item)),
+        seedTitles,
+        `This is a highly rated ${mediaType} on ${provider.label}`
+      );
+    }
+  ];
+  
+  return {
+    pool: await rankPool(provider, createPool(mediaType, candidates, stages), seeds, blendedRecs, { exploration }),
+    accept: () => true,
+    result: {
+      baseTitle: seedTitles,
+      mediaType,
+      provider: provider.name
+    }
+  };
+}
+
+// Function to get recommendations in one comic format (manhwa, light novels...), from seeds of `seedType` (the same format by default)
+async function buildComicFormatPool(provider, format, { titles, excludeIds, filters, exploration }, seedType = format) {
+  const { label, origin, plural } = COMIC_FORMATS[format];
+  const seedTypeLabel = COMIC_FORMATS[seedType]?.label;
+  
+  // Resolve every title the user entered, preferring an entry of the seeds' format
+  const seeds = await resolveSeeds(provider, titles, 'manga', seedTypeLabel);
+  
+  if (seeds.length === 0) {
+    throw httpError(404, `Could not find ${label.toLowerCase()} "${titles.map(seedLabel).join('", "')}"`);
+  }
+  
+  const isKnown = await franchiseFilter(provider, seeds, 'manga', knownItemFilter(seeds, excludeIds));
+  const seedTitles = seeds.map(s => s.title);
+  
+  // Get recommendations for each seed and blend them into one ranking
+  const blendedRecs = await blendSeedRecommendations(provider, seeds, 'manga', isKnown);
+  
+  const candidates = recommendationCandidates(blendedRecs, rec =>
+    `Recommended by ${rec.votes} ${provider.label} users who also enjoyed ${rec.seeds.join(' and ')}`
+  );
+  
+  // Then the top-scored entries of this format in the seeds' main genre, then the format's top list
+  const stages = [
+    async () => {
+      const commonGenre = mostCommonSeedGenre(seeds);
+      
+      if (!commonGenre) {
+        return [];
+      }
+      
+      const genreResults = await fallbackList(page => provider.getByGenre('manga', commonGenre.genre, { limit: FALLBACK_SIZE, page, format, sfw: filters.sfw }), exploration);
+      
+      return listCandidates(
+        genreResults.filter(item => !isKnown(item)),
+        commonGenre.seeds,
+        `${origin ? `${origin} ${plural}` : `${label}s`} sharing the ${commonGenre.genre} genre with ${commonGenre.seeds.join(' and ')}`
+      );
+    },
+    async () => {
+      const topResults = await fallbackList(page => provider.getTop('manga', { limit: FALLBACK_SIZE, page, format, sfw: filters.sfw }), exploration);
+      
+      return listCandidates(
+        topResults.filter(item => !isKnown(item)),
+        seedTitles,
+        `One of the highest rated ${plural} on ${provider.label}`
+      );
+    }
+  ];
+  
+  return {
+    pool: await rankPool(provider, createPool('manga', candidates, stages), seeds, blendedRecs, { exploration }),
+    
+    // Recommendation lists mix formats, so keep only entries of the requested one
+    accept: item => item.type === label,
+    result: {
+      baseTitle: seedTitles,
+      mediaType: format,
+      provider: provider.name
+    }
+  };
+}
+
+// Function to get recommendations in another medium than the seeds, e.g. manga for anime fans
+async function buildCrossMediaPool(provider, sourceType, targetType, { titles, excludeIds, filters, exploration }) {
+  const sourceCatalog = catalogType(sourceType);
+  const targetCatalog = catalogType(targetType);
+  const format = COMIC_FORMATS[targetType] ? targetType : undefined;
+  
+  // Only keep items of the requested comic format, if there is one
+  const matchesTarget = item => !format || item.type === COMIC_FORMATS[format].label;
+  
+  // Resolve the seeds in the medium the user knows them from
+  const seeds = await resolveSeeds(provider, titles, sourceCatalog);
+  
+  if (seeds.length === 0) {
+    throw httpError(404, `Could not find ${sourceType} "${titles.map(seedLabel).join('", "')}"`);
+  }
+  
+  const seedTitles = seeds.map(s => s.title);
+  
+  // Follow adaptation links from each seed into the target medium
+  const counterparts = [];
+  
+  for (const seed of seeds) {
+    let relations = [];
+    
+    try {
+      relations = await provider.getRelations(sourceCatalog, seed.item.id);
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error fetching relations for ${seed.title}:`, error.message);
+    }
+    
+    relations
+      .filter(r => r.relation === 'Adaptation')
+      .flatMap(r => r.entries)
+      .filter(entry => entry.mediaType === targetCatalog)
+      .forEach(entry => {
+        if (!counterparts.some(c => c.entry.id === entry.id)) {
+          counterparts.push({ seed, entry });
+        }
+      });
+  }
+  
+  let adaptations = await Promise.all(counterparts.map(async ({ seed, entry }) => {
+    try {
+      const item = await provider.getDetails(targetCatalog, entry.id);
+      
+      if (!matchesTarget(item)) {
+        return null;
+      }
+      
+      return {
+        ...item,
+        similarTo: [seed.title],
+        matchType: 'adaptation',
+        whyRecommended: `The same story as ${seed.title}, told as ${targetType}`
+      };
+    } catch (error) {
+      if (error.code === 'ERR_CANCELED') {
+        throw error;
+      }
+      
+      console.error(`Error fetching details for ${entry.title}:`, error);
+      return null;
+    }
+  }));
+  
+  adaptations = adaptations.filter(a => a !== null);
+  
+  // The adaptations stand in for the seeds in the target medium's recommendation graph
+  const targetSeeds = adaptations.map(a => ({
+    query: a.similarTo[0],
+    title: a.similarTo[0],
+    item: a,
+    weight: seeds.find(s => s.title === a.similarTo[0]).weight
+  }));
+  const isKnown = await franchiseFilter(provider, targetSeeds, targetCatalog, knownItemFilter(targetSeeds, excludeIds));
+  
+  const blendedRecs = targetSeeds.length > 0
+    ? await blendSeedRecommendations(provider, targetSeeds, targetCatalog, isKnown)
+    : [];
+  
+  const candidates = recommendationCandidates(blendedRecs, rec =>
+    `Recommended by ${rec.votes} ${provider.label} users who enjoyed the ${targetType} version of ${rec.seeds.join(' and ')}`
+  ).map(candidate => ({ ...candidate, matchType: 'taste' }));
+  
+  // Without enough adaptation links, fall back to the seeds' main genre in the target medium
+  const stages = [
+    async () => {
+      const commonGenre = mostCommonSeedGenre(seeds);
+      
+      if (!commonGenre) {
+        return [];
+      }
+      
+      const genreResults = await fallbackList(page => provider.getByGenre(targetCatalog, commonGenre.genre, { limit: FALLBACK_SIZE, page, format, sfw: filters.sfw }), exploration);
+      
+      return listCandidates(
+        genreResults.filter(item => !isKnown(item)),
+        commonGenre.seeds,
+        `Top-rated ${commonGenre.genre} ${targetType}, like ${commonGenre.seeds.join(' and ')}`
+      ).map(candidate => ({ ...candidate, matchType: 'taste' }));
+    }
+  ];
+  
+  return {
+    // Score against the adaptations where there are any, since they share the candidates' catalog
+    pool: await rankPool(provider, createPool(targetCatalog, candidates, stages), targetSeeds.length > 0 ? targetSeeds : seeds, blendedRecs, { exploration }),
+    accept: matchesTarget,
+    result: {
+      adaptations,
+      baseTitle: seedTitles,
+      mediaType: targetType,
+      sourceType,
+      provider: provider.name
+    }
+  };
+}
+
+const SEASONS = ['winter', 'spring', 'summer', 'fall'];
+
+// Check a requested { year, season }; no season means the one airing now
+function parseSeason(season) {
+  if (!season || season === 'now') {
+    return null;
+  }
+  
+  const year = Number(season.year);
+  const name = String(season.season || '').toLowerCase();
+  
+  if (!Number.isInteger(year) || year < 1917 || year > new Date().getFullYear() + 1 || !SEASONS.includes(name)) {
+    throw httpError(400, `season must be "now" or { year, season } with season one of: ${SEASONS.join(', ')}`);
+  }
+  
+  return { year, season: name };
+}
+
+// Check a requested exploration: 0 ranks safe bets, 1 leans hardest on lesser-known titles
+function parseExploration(exploration) {
+  if (exploration === undefined || exploration === null) {
+    return 0;
+  }
+  
+  const value = Number(exploration);
+  
+  if (typeof exploration === 'boolean' || exploration === '' || !Number.isFinite(value) || value < 0 || value > 1) {
+    throw httpError(400, 'exploration must be a number from 0 (safe bets) to 1 (hidden gems)');
+  }
+  
+  return value;
+}
+
+// Function to get picks from one season's anime lineup, ranked against the user's seeds
+async function buildSeasonalPool(provider, { titles, mediaType = 'manga', excludeIds, filters, season, exploration }) {
+  const seedCatalog = catalogType(mediaType);
+  
+  // Seeds can be manga too; they're compared on genres, themes and story rather than looked up in the lineup
+  const seeds = await resolveSeeds(provider, titles, seedCatalog);
+  
+  if (seeds.length === 0) {
+    throw httpError(404, `Could not find ${mediaType} "${titles.map(seedLabel).join('", "')}"`);
+  }
+  
+  // Manga and anime ids overlap, so only anime seeds (and their sequels) can be matched against the lineup
+  const animeSeeds = seedCatalog === 'anime' ? seeds : [];
+  const isKnown = await franchiseFilter(provider, animeSeeds, 'anime', knownItemFilter(animeSeeds, excludeIds));
+  const seedTitles = seeds.map(s => s.title);
+  
+  const lineup = await provider.getSeason({ ...season, sfw: filters.sfw });
+  reportProgress('candidates', { count: lineup.length });
+  
+  const seasonLabel = season ? `in ${season.season} ${season.year}` : 'this season';
+  const candidates = listCandidates(
+    lineup.filter(item => !isKnown(item)),
+    seedTitles,
+    `Airing ${seasonLabel}`
+  );
+  
+  return {
+    // The whole lineup is detailed already, so all of it gets ranked
+    pool: await rankPool(provider, createPool('anime', candidates), seeds, [], { depth: candidates.length, exploration }),
+    accept: () => true,
+    result: {
+      baseTitle: seedTitles,
+      mediaType: 'anime',
+      season: season || 'now',
+      provider: provider.name
+    }
+  };
+}
+
+// Function to get other works by the seeds' authors, studios and key staff, in the target medium if there is one
+async function buildCreatorPool(provider, { titles, mediaType = 'manga', targetType, excludeIds, filters, exploration }) {
+  const resultType = targetType || mediaType;
+  const seedCatalog = catalogType(mediaType);
+  const catalog = catalogType(resultType);
+  const format = COMIC_FORMATS[resultType];
+  
+  const seeds = await resolveSeeds(provider, titles, seedCatalog, COMIC_FORMATS[mediaType]?.label);
+  
+  if (seeds.length === 0) {
+    throw httpError(404, `Could not find ${mediaType} "${titles.map(seedLabel).join('", "')}"`);
+  }
+  
+  // Anime and manga ids overlap, so seeds only rule out entries (and franchises) of their own catalog
+  const sameCatalogSeeds = seedCatalog === catalog ? seeds : [];
+  const isKnown = await franchiseFilter(provider, sameCatalogSeeds, catalog, knownItemFilter(sameCatalogSeeds, excludeIds));
+  
+  const candidates = await creatorCandidates(provider, seeds, seedCatalog, catalog, { isKnown, sfw: filters.sfw });
+  reportProgress('candidates', { count: candidates.length });
+  
+  return {
+    pool: await rankPool(provider, createPool(catalog, candidates), seeds, [], { exploration }),
+    accept: item => !format || item.type === format.label,
+    result: {
+      baseTitle: seeds.map(s => s.title),
+      mediaType: resultType,
+      provider: provider.name
+    }
+  };
+}
+
+// Function to get picks a whole group will enjoy, from every participant's seeds
+async function buildGroupPool(provider, { participants, mediaType = 'manga', excludeIds, filters, exploration }) {
+  const catalog = catalogType(mediaType);
+  const format = COMIC_FORMATS[mediaType];
+  const people = [];
+  
+  for (const participant of participants) {
+    const seeds = await resolveSeeds(provider, participant.titles, catalog, format?.label);
+    
+    if (seeds.length === 0) {
+      throw httpError(404, `Could not find ${participant.name}'s ${mediaType} "${participant.titles.map(seedLabel).join('", "')}"`);
+    }
+    
+    people.push({ ...participant, seeds });
+  }
+  
+  // Nobody should be recommended something they or anyone else in the group already named
+  const allSeeds = people.flatMap(person => person.seeds);
+  const seenIds = [...excludeIds, ...people.flatMap(person => person.excludeIds)];
+  const isKnown = await franchiseFilter(provider, allSeeds, catalog, knownItemFilter(allSeeds, seenIds));
+  
+  // Blend each participant's recommendations, then merge them; entries several people lead to rank higher
+  const merged = new Map();
+  
+  for (const person of people) {
+    person.recs = await blendSeedRecommendations(provider, person.seeds, catalog, isKnown);
+    person.recsById = new Map(person.recs.map(rec => [rec.item.id, rec]));
+    
+    person.recs.forEach(rec => {
+      if (!merged.has(rec.item.id)) {
+        merged.set(rec.item.id, { item: rec.item, votes: 0, blendedScore: 0, seeds: [], people: [] });
+      }
+      
+      const entry = merged.get(rec.item.id);
+      entry.votes += rec.votes;
+      entry.blendedScore += rec.blendedScore;
+      entry.seeds.push(...rec.seeds);
+      entry.people.push(person.name);
+    });
+  }
+  
+  const blendedRecs = [...merged.values()]
+    .map(rec => ({ ...rec, blendedScore: rec.blendedScore * (1 + SHARED_SEED_BOOST * (rec.people.length - 1)) }))
+    .sort((a, b) => b.blendedScore - a.blendedScore);
+  
+  const candidates = recommendationCandidates(blendedRecs, rec =>
+    `Recommended by ${rec.votes} ${provider.label} users who also enjoyed ${rec.people.join(' and ')}'s picks`
+  );
+  
+  // Then the genre most of the group's seeds share
+  const stages = [
+    async () => {
+      const commonGenre = mostCommonSeedGenre(allSeeds);
+      
+      if (!commonGenre) {
+        return [];
+      }
+      
+      const genreResults = await fallbackList(page => provider.getByGenre(catalog, commonGenre.genre, {
+        limit: FALLBACK_SIZE, page, format: format ? mediaType : undefined, sfw: filters.sfw
+      }), exploration);
+      
+      return listCandidates(
+        genreResults.filter(item => !isKnown(item)),
+        commonGenre.seeds,
+        `Shares the ${commonGenre.genre} genre with ${commonGenre.seeds.join(' and ')}`
+      );
+    }
+  ];
+  
+  const pool = createPool(catalog, candidates, stages);
+  
+  // Everyone rates each candidate against their own seeds, with their own votes for it
+  await rerankHead(provider, pool, RERANK_DEPTH, corpus => createGroupScorer(people.map(person => ({
+    name: person.name,
+    exclude: person.exclude,
+    score: createScorer(person.seeds, {
+      corpus,
+      maxVotes: person.recs.length > 0 ? person.recs[0].blendedScore : 0,
+      label: provider.label,
+      exploration
+    }),
+    context: item => {
+      const rec = person.recsById.get(item.id);
+      return rec ? { votes: rec.votes, blendedVotes: rec.blendedScore, similarTo: rec.seeds } : {};
+    }
+  }))));
+  
+  return {
+    pool,
+    accept: item => !format || item.type === format.label,
+    result: {
+      participants: people.map(person => ({ name: person.name, seeds: person.seeds.map(s => s.title) })),
+      baseTitle: allSeeds.map(s => s.title),
+      mediaType,
+      provider: provider.name
+    }
+  };
+}
+
+// Function to get a language model's picks, keeping only the ones found in the catalog
+async function buildAiPool(provider, { titles, preferences, genres, exclude, mediaType = 'manga', targetType, excludeIds, exploration }) {
+  const resultType = targetType || mediaType;
+  const seedCatalog = catalogType(mediaType);
+  const catalog = catalogType(resultType);
+  const format = COMIC_FORMATS[resultType];
+  const model = getLanguageModel();
+  
+  // Seeds that resolve are left out of the picks and used to explain them; the model gets the titles as typed
+  const seeds = await resolveSeeds(provider, titles, seedCatalog, COMIC_FORMATS[mediaType]?.label);
+  const sameCatalogSeeds = seedCatalog === catalog ? seeds : [];
+  const isKnown = await franchiseFilter(provider, sameCatalogSeeds, catalog, knownItemFilter(sameCatalogSeeds, excludeIds));
+  
+  const { suggestions, dropped } = await suggestVerifiedTitles(provider, model, {
+    titles: titles.map(seedLabel),
+    preferences: typeof preferences === 'string' ? preferences.trim() : '',
+    genres: Array.isArray(genres) ? genres : [],
+    exclude: Array.isArray(exclude) ? exclude : [],
+    resultType,
+    catalog,
+    format: format ? resultType : undefined,
+    count: AI_POOL_SIZE,
+    preferLesserKnown: exploration >= 0.5,
+    isKnown
+  });
+  
+  if (suggestions.length === 0) {
+    throw httpError(404, `None of the AI's suggestions could be found in the ${provider.label} catalog. Try other titles`);
+  }
+  
+  const candidates = suggestions.map(s => ({
+    item: s.item,
+    detailed: true,
+    similarTo: s.similarTo ? [s.similarTo] : seeds.map(seed => seed.title),
+    // Reasons are joined into sentences on the card, so they carry no full stop of their own
+    whyRecommended: (s.whyRecommended || 'Suggested by the AI').trim().replace(/\.$/, '')
+  }));
+  
+  // The model's order is kept; the scorer only explains each pick, after the model's own reason
+  const pool = createPool(catalog, candidates);
+  const score = createScorer(seeds, { corpus: candidates.map(c => c.item), label: provider.label, exploration });
+  
+  pool.score = (item, candidate) => {
+    const breakdown = score(item, candidate);
+    return { ...breakdown, reasons: [candidate.whyRecommended, ...breakdown.reasons] };
+  };
+  
+  return {
+    pool,
+    accept: item => !format || item.type === format.label,
+    result: {
+      baseTitle: seeds.length > 0 ? seeds.map(s => s.title) : titles.map(seedLabel),
+      mediaType: resultType,
+      provider: provider.name,
+      ai: { provider: model.name, model: model.model, checked: suggestions.length + dropped.length, dropped }
+    }
+  };
+}
+
+// Pick the pool builder for the requested mode and media types
+function buildPool(provider, request) {
+  const { mediaType = 'manga', targetType, mode } = request;
+  
+  if (mode === 'seasonal') {
+    return buildSeasonalPool(provider, request);
+  }
+  
+  if (mode === 'creators') {
+    return buildCreatorPool(provider, request);
+  }
+  
+  if (mode === 'group') {
+    return buildGroupPool(provider, request);
+  }
+  
+  if (mode === 'ai') {
+    return buildAiPool(provider, request);
+  }
+  
+  if (targetType && targetType !== mediaType) {
+    // Every comic format resolves from the manga catalog, so only anime needs relations
+    if (catalogType(targetType) !== catalogType(mediaType)) {
+      return buildCrossMediaPool(provider, mediaType, targetType, request);
+    }
+    
+    if (COMIC_FORMATS[targetType]) {
+      return buildComicFormatPool(provider, targetType, request, mediaType);
+    }
+    
+    return buildStandardPool(provider, 'manga', request);
+  }
+  
+  // Handle different media types
+  if (COMIC_FORMATS[mediaType]) {
+    return buildComicFormatPool(provider, mediaType, request);
+  }
+  
+  return buildStandardPool(provider, catalogType(mediaType), request);
+}
+
+/**
+ * Get one page of recommendations from the given catalog provider.
+ * `targetType` asks for recommendations in another medium than the seeds' `mediaType`, and
+ * `mode: 'seasonal'` picks from a `season`'s anime lineup (see parseSeason) instead of the recommendation graph,
+ * `mode: 'creators'` from other works of the seeds' authors, studios and key staff, and `mode: 'group'`
+ * ranks for several `participants` (see group.js) instead of one set of `titles`, while `mode: 'ai'` asks the
+ * configured language model (see llm/), guided by free-text `preferences`, and drops picks the catalog doesn't have;
+ * a `profile` leaves out items the user gave feedback on and reranks the rest, and `filters`
+ * (see filters.js) apply to every card, whichever list it came from. The seeds' own franchises are left out
+ * and every other franchise gets a single card, with its entry point and order in `franchise`.
+ * The ranked candidate pool is kept between pages, so `nextCursor` always continues
+ * the same ranking. Throws errors with a `status` for problems the client should hear about.
+ */
+async function getRecommendations(provider, request) {
+  const { mediaType = 'manga', profile, cursor, mode = 'standard' } = request;
+  const filters = normalizeFilters(request);
+  const limit = Math.min(Math.max(parseInt(request.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  
+  if (!MODES.includes(mode)) {
+    throw httpError(400, `Unknown mode "${mode}". Use one of: ${MODES.join(', ')}`);
+  }
+  
+  const season = mode === 'seasonal' ? parseSeason(request.season) : null;
+  const exploration = parseExploration(request.exploration);
+  const participants = mode === 'group' ? normalizeParticipants(request.participants) : null;
+  const titles = participants ? participants.flatMap(p => p.titles) : request.titles;
+  
+  // Groups get recommendations in the seeds' own medium
+  const targetType = participants ? undefined : request.targetType;
+  const resultType = mode === 'seasonal' ? 'anime' : targetType || mediaType;
+  const resultCatalog = catalogType(resultType);
+  
+  // Length filters count episodes, chapters or volumes, whichever the results are measured in
+  const lengthField = getMediaType(resultType).length.field;
+  
+  // Imported list ids belong to the seeds' catalog, so they only apply when the results come from the same one
+  const excludeIds = resultCatalog === catalogType(mediaType) ? [...(request.excludeIds || [])] : [];
+  
+  if (profile) {
+    excludeIds.push(...feedbackExcludeIds(profile, resultCatalog));
+  }
+  
+  let key;
+  let offset = 0;
+  
+  if (cursor) {
+    ({ key, offset } = decodeCursor(cursor));
+  } else {
+    console.log(`Getting ${mode === 'seasonal' ? 'seasonal anime' : resultType} recommendations from ${provider.name} based on: ${titles.map(seedLabel).join(', ')}`);
+    key = poolKey({
+      provider: provider.name, titles, mediaType, targetType, mode, season, participants, excludeIds, sfw: filters.sfw, exploration,
+      preferences: mode === 'ai' ? request.preferences : undefined
+    });
+  }
+  
+  // Rebuilding an expired pool gives the same ranking, since the upstream responses are cached
+  let entry = loadPool(key);
+  
+  if (!entry) {
+    entry = await buildPool(provider, { ...request, targetType, mode, season, participants, excludeIds, filters, exploration });
+    
+    // Seasons, movies and spin-offs of one franchise share a card, which says where to start
+    entry.franchises = createFranchiseGrouper(provider, entry.pool.catalog);
+    savePool(key, entry);
+  }
+  
+  const { items, nextOffset } = await hydratePage(provider, entry.pool, {
+    offset,
+    limit,
+    accept: item => entry.accept(item) && matchesFilters(item, filters, lengthField),
+    group: entry.franchises.forPage()
+  });
+  
+  const result = { ...entry.result };
+  
+  // Adaptations are shown once, above the first page
+  if (result.adaptations) {
+    result.adaptations = cursor ? [] : result.adaptations.filter(item => matchesFilters(item, filters, lengthField));
+  }
+  
+  return {
+    ...result,
+    recommendations: profile ? applyFeedback(items, profile) : items,
+    nextCursor: nextOffset === null ? null : encodeCursor(key, nextOffset)
+  };
+}
+
+module.exports = {
+  MODES,
+  getRecommendations
+};
@@ -0,0 +1,69 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request state that deep helpers (cache, providers) can reach without threading it through every call
+const storage = new AsyncLocalStorage();
+
+function createContext({ signal, priority = 'interactive' } = {}) {
+  return {
+    signal,
+    priority,
+    cache: { hits: 0, misses: 0 },
+    
+    // Set once a provider call is answered from the offline snapshot: { calls, recordedAt }
+    snapshot: null,
+    
+    // Set by streaming endpoints to hear about progress as the request is worked on
+    onProgress: null
+  };
+}
+
+// Express middleware that gives every API request its own context
+function contextMiddleware(req, res, next) {
+  const controller = new AbortController();
+  
+  // Cancel queued upstream calls once the client has gone away without getting its response
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  
+  storage.run(createContext({ signal: controller.signal }), next);
+}
+
+function currentContext() {
+  return storage.getStore();
+}
+
+// Options for the rate limiter derived from the current request
+function schedulingOptions() {
+  const context = currentContext();
+  return context ? { priority: context.priority, signal: context.signal } : { priority: 'background' };
+}
+
+// Tell the current request's listener, if any, how far along the work is
+function reportProgress(type, data) {
+  const context = currentContext();
+  
+  if (context && context.onProgress) {
+    context.onProgress(type, data);
+  }
+}
+
+// Metadata about how the current request was served, for inclusion in responses
+function responseMeta() {
+  const context = currentContext();
+  
+  return {
+    cache: context ? { ...context.cache } : null,
+    snapshot: context && context.snapshot ? { ...context.snapshot } : null
+  };
+}
+
+module.exports = {
+  contextMiddleware,
+  currentContext,
+  schedulingOptions,
+  reportProgress,
+  responseMeta
+};
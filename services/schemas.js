@@ -0,0 +1,179 @@
+// JSON schemas for API request bodies, checked before a request reaches the recommender and published in the OpenAPI document
+const Ajv = require('ajv');
+const config = require('../config');
+const httpError = require('./httpError');
+const { MEDIA_TYPES } = require('./mediaTypes');
+const { MODES } = require('./recommender');
+const { MAX_PARTICIPANTS } = require('./group');
+
+const malId = {
+  description: 'a MyAnimeList id',
+  oneOf: [
+    { type: 'integer', minimum: 1 },
+    { type: 'string', pattern: '^[1-9][0-9]*$' }
+  ]
+};
+
+// Seeds are free-text titles or { id } objects holding a MyAnimeList id, as picked from /search.
+// Imported AniList entries without a MyAnimeList id come as { id: null, title } and are searched for by title
+const title = {
+  description: 'a title name or an object with a MyAnimeList id or a title',
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      properties: {
+        id: { anyOf: [malId, { type: 'null' }] },
+        title: { type: 'string' }
+      },
+      anyOf: [
+        { required: ['id'], properties: { id: malId } },
+        { required: ['title'], properties: { title: { minLength: 1 } } }
+      ]
+    }
+  ]
+};
+
+// Each seed costs a few catalog calls, so requests name at most config.limits.maxTitles (a group between all its
+// participants, which normalizeParticipants checks)
+const titles = { type: 'array', minItems: 1, maxItems: config.limits.maxTitles, items: { $ref: '#/components/schemas/Title' } };
+
+// As parseExploration reads it: a number, possibly sent as a string, or null for the default
+const exploration = {
+  description: 'a number from 0 (safe bets) to 1 (hidden gems)',
+  oneOf: [
+    { type: 'number', minimum: 0, maximum: 1 },
+    { type: 'string', pattern: '^(0|0?\\.[0-9]+|1|1\\.0+)$' },
+    { type: 'null' }
+  ]
+};
+
+const names = { type: 'array', items: { type: 'string' } };
+const mediaType = { type: 'string', enum: Object.keys(MEDIA_TYPES) };
+const optionalNumber = { type: ['number', 'null'], minimum: 0 };
+
+const schemas = {
+  Title: title,
+  
+  Filters: {
+    type: 'object',
+    properties: {
+      themes: names,
+      demographics: names,
+      status: { type: 'array', items: { type: 'string', enum: ['finished', 'ongoing', 'upcoming', 'hiatus', 'cancelled'] } },
+      minScore: optionalNumber,
+      yearFrom: optionalNumber,
+      yearTo: optionalNumber,
+      minLength: optionalNumber,
+      maxLength: optionalNumber,
+      sfw: { type: 'boolean', description: 'Leave out adult entries (on unless set to false)' }
+    }
+  },
+  
+  Participant: {
+    type: 'object',
+    required: ['titles'],
+    properties: {
+      name: { type: 'string' },
+      titles,
+      exclude: names,
+      excludeIds: { type: 'array', items: malId }
+    }
+  },
+  
+  RecommendRequest: {
+    type: 'object',
+    properties: {
+      titles,
+      participants: {
+        type: 'array',
+        minItems: 2,
+        maxItems: MAX_PARTICIPANTS,
+        description: `Group mode: everyone's own titles, in place of \`titles\`, at most ${config.limits.maxTitles} between them`,
+        items: { $ref: '#/components/schemas/Participant' }
+      },
+      mediaType: { ...mediaType, default: 'manga' },
+      targetType: { ...mediaType, description: 'Recommend another media type than the seeds\'' },
+      mode: { type: 'string', enum: MODES, default: 'standard' },
+      season: {
+        description: '"now" or the { year, season } whose lineup seasonal mode ranks',
+        oneOf: [
+          { type: 'string', enum: ['now'] },
+          {
+            type: 'object',
+            required: ['year', 'season'],
+            properties: {
+              year: { type: 'integer' },
+              season: { type: 'string', enum: ['winter', 'spring', 'summer', 'fall'] }
+            }
+          }
+        ]
+      },
+      preferences: { type: 'string', description: 'AI mode: what the user likes about their titles' },
+      genres: names,
+      exclude: names,
+      excludeIds: { type: 'array', items: malId },
+      filters: { $ref: '#/components/schemas/Filters' },
+      exploration: { ...exploration, default: 0 },
+      provider: { type: 'string', description: 'Catalog to use: "jikan" (MyAnimeList) or "anilist"' },
+      profileId: { type: 'string' },
+      limit: { type: 'integer', minimum: 1 },
+      cursor: { type: 'string', description: 'The previous page\'s nextCursor' },
+      permalinkId: { type: 'string' }
+    },
+    
+    // Group requests name their seeds per participant
+    if: { required: ['mode'], properties: { mode: { const: 'group' } } },
+    then: { required: ['participants'] },
+    else: { required: ['titles'] }
+  }
+};
+
+// The schemas are registered where the OpenAPI document keeps them, so their $refs resolve in both
+const ajv = new Ajv({ allErrors: true, verbose: true, strictTypes: false });
+ajv.addKeyword('components');
+ajv.addSchema({ components: { schemas } }, 'api');
+
+const validators = new Map();
+
+// "titles.0 must be a title name or ..." for one schema error; errors inside a oneOf branch only repeat the oneOf one
+function describe(error) {
+  const field = error.instancePath.slice(1).replace(/\//g, '.') || 'request body';
+  let message = error.message;
+  
+  if (error.keyword === 'oneOf' && error.parentSchema.description) {
+    message = `must be ${error.parentSchema.description}`;
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+  
+  return { field, message: `${field} ${message}` };
+}
+
+/**
+ * Check a request body against one of `schemas`, answering 400 with every problem found in `details`.
+ */
+function validate(schemaName, body) {
+  if (!validators.has(schemaName)) {
+    validators.set(schemaName, ajv.getSchema(`api#/components/schemas/${schemaName}`));
+  }
+  
+  const check = validators.get(schemaName);
+  
+  if (check(body)) {
+    return body;
+  }
+  
+  const details = check.errors
+    .filter(error => !error.schemaPath.includes('/oneOf/') && error.keyword !== 'if')
+    .map(describe);
+  
+  const error = httpError(400, details[0].message);
+  error.details = details;
+  throw error;
+}
+
+module.exports = {
+  schemas,
+  validate
+};
@@ -0,0 +1,270 @@
+// Content-based scoring: compares a candidate to the user's seeds and mixes in how the catalog rates it
+const { creditReason } = require('./creators');
+
+// How much each signal counts towards the total; they add up to 1
+const WEIGHTS = {
+  votes: 0.3,
+  genres: 0.2,
+  synopsis: 0.15,
+  themes: 0.1,
+  creators: 0.1,
+  rating: 0.1,
+  demographics: 0.05
+};
+
+// At full exploration novelty takes this share of the total, and the other signals share the rest
+const NOVELTY_SHARE = 0.4;
+
+// Member counts between which novelty falls from 1 (barely listed) to 0 (one of the catalog's biggest titles)
+const NICHE_MEMBERS = 1000;
+const MAINSTREAM_MEMBERS = 2000000;
+
+// Below these values a signal is too weak to mention in the explanation
+const MENTION_THRESHOLD = {
+  synopsis: 0.12,
+  rating: 0.8,
+  novelty: 0.5
+};
+
+// Cards list at most this many reasons
+const MAX_REASONS = 4;
+
+// Common English words plus synopsis boilerplate that says nothing about the story
+const STOP_WORDS = new Set(`
+  a about after again against all also an and any are as at be because been before being between both but by
+  can could did do does doing down during each few for from further had has have having he her here hers herself
+  him himself his how i if in into is it its itself just me more most my no nor not now of off on once only or
+  other our out over own same she should so some such than that the their them then there these they this those
+  through to too under until up very was we were what when where which while who whom why will with would you your
+  one two new whose yet however must source written mal rewrite anime manga series story
+  chapter chapters volume volumes episode episodes season
+`.split(/\s+/).filter(Boolean));
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\[written by[^\]]*\]|\(source:[^)]*\)/g, ' ')
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// TF-IDF vectors over a small local corpus (the seeds and the candidates being ranked)
+function createTextModel(documents) {
+  const documentFrequency = new Map();
+  
+  documents.forEach(text => {
+    new Set(tokenize(text)).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    });
+  });
+  
+  // Smoothed, so terms the corpus has never seen still get a weight
+  const idf = term => Math.log((documents.length + 1) / ((documentFrequency.get(term) || 0) + 1)) + 1;
+  
+  function vector(text) {
+    const counts = new Map();
+    tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+    
+    const weights = new Map();
+    let norm = 0;
+    
+    counts.forEach((count, term) => {
+      const weight = count * idf(term);
+      weights.set(term, weight);
+      norm += weight * weight;
+    });
+    
+    norm = Math.sqrt(norm) || 1;
+    weights.forEach((weight, term) => weights.set(term, weight / norm));
+    
+    return weights;
+  }
+  
+  return { vector };
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  
+  small.forEach((weight, term) => {
+    dot += weight * (large.get(term) || 0);
+  });
+  
+  return dot;
+}
+
+// Jaccard overlap of two name lists, along with the names they share
+function overlap(names = [], seedNames = []) {
+  const seedSet = new Set(seedNames.map(name => name.toLowerCase()));
+  const all = new Set([...names, ...seedNames].map(name => name.toLowerCase()));
+  const shared = [...new Set(names)].filter(name => seedSet.has(name.toLowerCase()));
+  
+  return {
+    value: all.size > 0 ? shared.length / all.size : 0,
+    shared
+  };
+}
+
+function listNames(names) {
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// How little known an item is, on a log scale of its member count; unknown counts aren't rewarded
+function novelty(members) {
+  if (!members) {
+    return 0;
+  }
+  
+  const position = (Math.log10(members) - Math.log10(NICHE_MEMBERS)) / (Math.log10(MAINSTREAM_MEMBERS) - Math.log10(NICHE_MEMBERS));
+  return 1 - Math.min(Math.max(position, 0), 1);
+}
+
+// Jaccard overlap of two items' genres, themes and demographics, for telling near-identical picks apart
+function itemSimilarity(a, b) {
+  const tags = item => [...(item.genres || []), ...(item.themes || []), ...(item.demographics || [])];
+  return overlap(tags(a), tags(b)).value;
+}
+
+// Readable sentences for the strongest signals of a breakdown, biggest contribution first
+function explain(signals, { label, similarTo }) {
+  const reasons = [];
+  const mention = (name, text) => reasons.push({ text, contribution: signals[name].value * signals[name].weight });
+  
+  if (signals.votes.count > 0) {
+    mention('votes', `Recommended by ${signals.votes.count} ${label} users who also enjoyed ${listNames(similarTo)}`);
+  }
+  if (signals.creators.shared.length > 0) {
+    mention('creators', signals.creators.credit
+      ? creditReason(signals.creators.credit, signals.creators.seed)
+      : `Made by ${listNames(signals.creators.shared)}, like ${signals.creators.seed}`);
+  }
+  if (signals.genres.shared.length > 0) {
+    mention('genres', `Shares ${listNames(signals.genres.shared)} with ${signals.genres.seed}`);
+  }
+  if (signals.themes.shared.length > 0) {
+    mention('themes', `Also about ${listNames(signals.themes.shared)}`);
+  }
+  if (signals.demographics.shared.length > 0) {
+    mention('demographics', `A ${listNames(signals.demographics.shared)} title, like ${signals.demographics.seed}`);
+  }
+  if (signals.synopsis.value >= MENTION_THRESHOLD.synopsis) {
+    mention('synopsis', `Its synopsis reads a lot like ${signals.synopsis.seed}'s`);
+  }
+  if (signals.rating.value >= MENTION_THRESHOLD.rating) {
+    mention('rating', `Rated ${signals.rating.score} on ${label}`);
+  }
+  if (signals.novelty && signals.novelty.value >= MENTION_THRESHOLD.novelty) {
+    mention('novelty', `A hidden gem: only ${signals.novelty.members.toLocaleString('en-US')} members on ${label}`);
+  }
+  
+  return reasons
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, MAX_REASONS)
+    .map(reason => reason.text);
+}
+
+/**
+ * Build a scoring function for candidates of one request.
+ * `seeds` are resolved seeds ({ title, item, weight }), `corpus` the candidate items known up front
+ * (for the synopsis IDF) and `maxVotes` the highest blended vote total, used to scale vote counts.
+ * `exploration` (0-1) moves weight from the other signals to novelty, so lesser-known titles climb.
+ * The returned function takes an item plus { votes, blendedVotes, similarTo, credits } and returns
+ * { total, signals, reasons }: `total` is 0-100, each signal has its value (0-1), weight and what matched.
+ */
+function createScorer(seeds, { corpus = [], maxVotes = 0, label, exploration = 0 }) {
+  const textModel = createTextModel([...seeds, ...corpus.map(item => ({ item }))].map(s => s.item.description));
+  const maxWeight = Math.max(...seeds.map(seed => seed.weight), 1);
+  
+  const seedProfiles = seeds.map(seed => ({
+    title: seed.title,
+    item: seed.item,
+    weight: seed.weight / maxWeight,
+    vector: textModel.vector(seed.item.description)
+  }));
+  
+  // The best-matching seed for a set signal, discounted for seeds the user rated lower
+  function bestSetMatch(names, field) {
+    return seedProfiles
+      .map(seed => {
+        const match = overlap(names, seed.item[field]);
+        return { value: match.value * seed.weight, shared: match.shared, seed: seed.title };
+      })
+      .sort((a, b) => b.value - a.value)[0] || { value: 0, shared: [], seed: null };
+  }
+  
+  // Seed credits the candidate was found through count in full, even when its own credits leave them out
+  // (e.g. a director, since anime details only list studios); otherwise it's the creators it shares with a seed
+  function creatorMatch(item, credits) {
+    if (credits.length > 0) {
+      const seed = seedProfiles.find(s => s.title === credits[0].seed);
+      
+      return {
+        value: seed ? seed.weight : 1,
+        shared: [...new Set(credits.map(credit => credit.name))],
+        seed: credits[0].seed,
+        credit: credits[0]
+      };
+    }
+    
+    const match = bestSetMatch(item.creators, 'creators');
+    
+    if (match.shared.length > 0) {
+      const seed = seedProfiles.find(s => s.title === match.seed);
+      const shared = match.shared[0].toLowerCase();
+      match.credit = (seed.item.credits || []).find(credit => credit.name.toLowerCase() === shared) || null;
+    }
+    
+    return match;
+  }
+  
+  return function score(item, { votes = 0, blendedVotes = 0, similarTo = [], credits = [] } = {}) {
+    const vector = textModel.vector(item.description);
+    const synopsis = seedProfiles
+      .map(seed => ({ value: cosine(vector, seed.vector) * seed.weight, seed: seed.title }))
+      .sort((a, b) => b.value - a.value)[0] || { value: 0, seed: null };
+    
+    const signals = {
+      votes: {
+        value: maxVotes > 0 ? Math.log1p(blendedVotes) / Math.log1p(maxVotes) : 0,
+        count: votes
+      },
+      genres: bestSetMatch(item.genres, 'genres'),
+      themes: bestSetMatch(item.themes, 'themes'),
+      demographics: bestSetMatch(item.demographics, 'demographics'),
+      creators: creatorMatch(item, credits),
+      synopsis,
+      rating: {
+        value: item.score ? Math.min(item.score / 10, 1) : 0,
+        score: item.score || null
+      }
+    };
+    
+    if (exploration > 0) {
+      signals.novelty = { value: novelty(item.members), members: item.members || null };
+    }
+    
+    let total = 0;
+    
+    Object.entries(signals).forEach(([name, signal]) => {
+      signal.value = round(signal.value);
+      signal.weight = name === 'novelty' ? NOVELTY_SHARE * exploration : WEIGHTS[name] * (1 - NOVELTY_SHARE * exploration);
+      total += signal.value * signal.weight;
+    });
+    
+    return {
+      total: Math.round(total * 100),
+      signals,
+      reasons: explain(signals, { label, similarTo })
+    };
+  };
+}
+
+module.exports = {
+  createScorer,
+  itemSimilarity
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const httpError = require('./httpError');
+const { currentContext } = require('./requestContext');
+const { MEDIA_TYPES } = require('./mediaTypes');
+
+const SNAPSHOT_MODES = ['off', 'record', 'replay'];
+
+// Provider calls that are recorded and replayed; everything else on the provider passes through
+const RECORDED_METHODS = [
+  'search', 'getDetails', 'getDetailsByMalId', 'getRecommendations', 'getTop', 'getByGenre', 'getSeason', 'getRelations',
+  'getCredits', 'getCreator'
+];
+
+// Calls that return full items, which replay also uses to answer calls that weren't recorded as such
+const ITEM_METHODS = ['search', 'getDetails', 'getDetailsByMalId', 'getTop', 'getByGenre', 'getSeason'];
+
+function itemsOf(method, value) {
+  if (!ITEM_METHODS.includes(method) || !value) {
+    return [];
+  }
+  
+  return (Array.isArray(value) ? value : [value]).filter(item => Array.isArray(item.genres));
+}
+
+function byScore(a, b) {
+  return (b.score || 0) - (a.score || 0);
+}
+
+/**
+ * Offline snapshot of normalized provider results, one JSON file per call under `directory`.
+ * In `record` mode calls go to the provider as usual and their results are saved; in `replay`
+ * mode they're answered from the snapshot alone, falling back to the recorded items for searches,
+ * details and top or genre lists that weren't recorded as such.
+ */
+function createSnapshot({ mode, directory }) {
+  if (!SNAPSHOT_MODES.includes(mode)) {
+    throw new Error(`Unknown snapshot mode "${mode}". Use one of: ${SNAPSHOT_MODES.join(', ')}`);
+  }
+  
+  const written = new Set(); // Keys saved by this process, so repeated calls are only written once
+  let itemIndex = null; // "<provider>:<catalog>" -> Map of id -> item, built on the first fallback
+  
+  function fileFor(key) {
+    return path.join(directory, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+  
+  async function read(key) {
+    try {
+      const record = JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+      return record.key === key ? record : null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading snapshot entry ${key}:`, error.message);
+      }
+      return null;
+    }
+  }
+  
+  async function write(record) {
+    if (written.has(record.key)) {
+      return;
+    }
+    
+    written.add(record.key);
+    
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(fileFor(record.key), JSON.stringify(record));
+    } catch (error) {
+      console.error(`Error writing snapshot entry ${record.key}:`, error.message);
+    }
+  }
+  
+  async function records() {
+    let files;
+    
+    try {
+      files = await fs.readdir(directory);
+    } catch (error) {
+      return [];
+    }
+    
+    const loaded = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(async file => {
+        try {
+          return JSON.parse(await fs.readFile(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          return null;
+        }
+      }));
+    
+    return loaded.filter(Boolean);
+  }
+  
+  async function indexFor(providerName, catalog) {
+    if (!itemIndex) {
+      itemIndex = new Map();
+      
+      (await records()).forEach(record => {
+        // Seasons are always anime; every other call takes the catalog first
+        const recordCatalog = record.method === 'getSeason' ? 'anime' : record.args[0];
+        const indexKey = `${record.key.split(':')[0]}:${recordCatalog}`;
+        
+        if (!itemIndex.has(indexKey)) {
+          itemIndex.set(indexKey, new Map());
+        }
+        
+        itemsOf(record.method, record.value).forEach(item => itemIndex.get(indexKey).set(item.id, item));
+      });
+    }
+    
+    return [...(itemIndex.get(`${providerName}:${catalog}`) || new Map()).values()];
+  }
+  
+  // Answer an unrecorded call from the recorded items, or return undefined when there's no way to
+  async function fallback(providerName, method, args) {
+    const items = await indexFor(providerName, method === 'getSeason' ? 'anime' : args[0]);
+    
+    if (method === 'getDetails') {
+      return items.find(item => item.id === args[1]);
+    }
+    
+    if (method === 'getDetailsByMalId') {
+      return items.find(item => item.malId === args[1]);
+    }
+    
+    if (!['search', 'getTop', 'getByGenre'].includes(method)) {
+      return undefined;
+    }
+    
+    const { limit = 5, page = 1, format } = (method === 'getTop' ? args[1] : args[2]) || {};
+    
+    // A format filter ("lightnovel") matches the `type` its items carry ("Light Novel")
+    const typeLabel = format && Object.values(MEDIA_TYPES).find(type => type.format === format)?.typeLabel;
+    const text = method === 'search' ? String(args[1]).toLowerCase() : null;
+    const genre = method === 'getByGenre' ? String(args[1]).toLowerCase() : null;
+    
+    return items
+      .filter(item => !format || item.type === typeLabel)
+      .filter(item => !text || [item.title, item.titleEnglish, item.titleJapanese].some(t => t && t.toLowerCase().includes(text)))
+      .filter(item => !genre || item.genres.some(g => g.toLowerCase() === genre))
+      .sort(byScore)
+      .slice((page - 1) * limit, page * limit);
+  }
+  
+  // Let the response say it came from snapshot data, and how old the oldest of it is
+  function noteReplay(recordedAt) {
+    const context = currentContext();
+    
+    if (context) {
+      context.snapshot = context.snapshot || { calls: 0, recordedAt: null };
+      context.snapshot.calls++;
+      
+      if (recordedAt && (!context.snapshot.recordedAt || recordedAt < context.snapshot.recordedAt)) {
+        context.snapshot.recordedAt = recordedAt;
+      }
+    }
+  }
+  
+  async function call(provider, method, args) {
+    const key = `${provider.name}:${method}:${JSON.stringify(args)}`;
+    
+    if (mode === 'record') {
+      const value = await provider[method](...args);
+      await write({ key, method, args, value, recordedAt: new Date().toISOString() });
+      return value;
+    }
+    
+    const record = await read(key);
+    
+    if (record) {
+      noteReplay(record.recordedAt);
+      return record.value;
+    }
+    
+    const value = await fallback(provider.name, method, args);
+    
+    if (value === undefined) {
+      throw httpError(503, `The offline snapshot has no ${method} data for ${JSON.stringify(args)}`);
+    }
+    
+    noteReplay(null);
+    return value;
+  }
+  
+  return {
+    mode,
+    directory,
+    call
+  };
+}
+
+/**
+ * Wrap a catalog provider so its calls go through a snapshot. In replay mode the
+ * provider itself (and so the network) is never called.
+ */
+function withSnapshot(provider, snapshot) {
+  const wrapped = { ...provider, snapshot: snapshot.mode };
+  
+  RECORDED_METHODS
+    .filter(method => typeof provider[method] === 'function')
+    .forEach(method => {
+      wrapped[method] = (...args) => snapshot.call(provider, method, args);
+    });
+  
+  return wrapped;
+}
+
+module.exports = {
+  SNAPSHOT_MODES,
+  createSnapshot,
+  withSnapshot
+};
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Two keys, one with a daily quota of 2; config is read when it's first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recommender-test-'));
+process.env.API_KEYS = 'reports:r3ports:2,chatbot:ch4tbot:0';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const v1Routes = require('../routes/v1');
+
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/v1', v1Routes);
+  
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  
+  // The usage counts are written to disk after each call; let the last write land first
+  await new Promise(resolve => setTimeout(resolve, 100));
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function get(route, key) {
+  return fetch(`http://127.0.0.1:${server.address().port}/api/v1${route}`, { headers: key ? { 'X-API-Key': key } : {} });
+}
+
+test('answers 401 without a key or with an unknown one', async () => {
+  const missing = await get('/media-types');
+  const invalid = await get('/media-types', 'nope');
+  
+  assert.strictEqual(missing.status, 401);
+  assert.deepStrictEqual((await missing.json()).error, {
+    status: 401,
+    code: 'unauthorized',
+    message: 'This API needs a key in the X-API-Key header'
+  });
+  assert.strictEqual(invalid.status, 401);
+  assert.strictEqual((await invalid.json()).error.message, 'Invalid API key');
+});
+
+test('keeps the OpenAPI document open and says keys are needed', async () => {
+  const response = await get('/openapi.json');
+  
+  assert.strictEqual(response.status, 200);
+  assert.ok((await response.json()).components.securitySchemes);
+});
+
+test('counts calls against the key\'s daily quota and answers 429 once it is used up', async () => {
+  const first = await get('/media-types', 'r3ports');
+  
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.headers.get('x-ratelimit-limit'), '2');
+  assert.strictEqual(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.strictEqual((await get('/media-types', 'r3ports')).headers.get('x-ratelimit-remaining'), '0');
+  
+  const limited = await get('/media-types', 'r3ports');
+  const { error } = await limited.json();
+  
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(error.code, 'too_many_requests');
+  assert.strictEqual(error.message, 'The daily quota of 2 requests for API key "reports" is used up');
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('lets keys with a quota of 0 through without limit headers', async () => {
+  for (let call = 0; call < 3; call++) {
+    const response = await get('/media-types', 'ch4tbot');
+    
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('x-ratelimit-limit'), null);
+  }
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toIcs } = require('../services/calendar');
+
+// Sunday 6 April 2025, 15:00 UTC: already Monday 00:00 in Tokyo
+const NOW = new Date('2025-04-06T15:00:00Z');
+
+function show(broadcast, extra = {}) {
+  return { id: 1, malId: 1, title: 'Show', url: 'https://myanimelist.net/anime/1', broadcast, ...extra };
+}
+
+function eventField(ics, name) {
+  return ics.split('\r\n').filter(line => line.startsWith(`${name}:`)).map(line => line.slice(name.length + 1));
+}
+
+// Undo the line folding, the way calendar apps read the file
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '');
+}
+
+test('converts the broadcast slot in Tokyo time to UTC, from the premiere on', () => {
+  const ics = toIcs([
+    show({ day: 'Saturday', time: '23:30', timezone: 'Asia/Tokyo' }, { startDate: '2025-04-05' }),
+    show({ day: 'Saturday', time: '23:30', timezone: 'Asia/Tokyo' }, { startDate: '2025-04-02' }),
+    show({ day: 'Sunday', time: '01:00', timezone: 'Asia/Tokyo' }, { startDate: '2025-04-06' })
+  ], 'Test', NOW);
+  
+  // A Saturday premiere, one on the Wednesday before the first Saturday slot, and a Sunday 01:00 slot
+  // that is still Saturday in UTC
+  assert.deepStrictEqual(eventField(ics, 'DTSTART'), ['20250405T143000Z', '20250405T143000Z', '20250405T160000Z']);
+});
+
+test('starts shows without a premiere date at their next slot, never before now', () => {
+  const slot = { day: 'Monday', time: '01:00', timezone: 'Asia/Tokyo' };
+  const starts = [
+    // Monday 00:00 in Tokyo: today's 01:00 slot is still ahead
+    toIcs([show(slot)], 'Test', NOW),
+    // Monday 01:30 in Tokyo: today's slot is over, so next week's
+    toIcs([show(slot)], 'Test', new Date('2025-04-06T16:30:00Z'))
+  ].map(ics => eventField(ics, 'DTSTART')[0]);
+  
+  assert.deepStrictEqual(starts, ['20250406T160000Z', '20250413T160000Z']);
+});
+
+test('repeats weekly for the episode count, or one cour when it is unknown', () => {
+  const slot = { day: 'Friday', time: '22:00', timezone: 'Asia/Tokyo' };
+  const ics = toIcs([show(slot, { episodes: 24 }), show(slot, { id: 2, malId: 2, episodes: null })], 'Test', NOW);
+  
+  assert.deepStrictEqual(eventField(ics, 'RRULE'), ['FREQ=WEEKLY;COUNT=24', 'FREQ=WEEKLY;COUNT=13']);
+  assert.deepStrictEqual(eventField(ics, 'UID'), ['anime-1@anime-manga-recommender', 'anime-2@anime-manga-recommender']);
+  assert.deepStrictEqual(eventField(ics, 'DTSTAMP'), ['20250406T150000Z', '20250406T150000Z']);
+});
+
+test('leaves out items without a usable broadcast slot', () => {
+  const ics = toIcs([
+    show(null),
+    show({ day: 'Someday', time: '22:00', timezone: 'Asia/Tokyo' }),
+    show({ day: 'Friday', time: '22:00', timezone: 'Europe/Paris' })
+  ], 'Test', NOW);
+  
+  assert.strictEqual(ics.includes('BEGIN:VEVENT'), false);
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+});
+
+test('escapes text values and folds long lines without splitting characters', () => {
+  const title = 'Re:Zero, Starting Life; in Another World \\ 第3期 '.repeat(3).trim();
+  const ics = toIcs([show({ day: 'Wednesday', time: '22:30', timezone: 'Asia/Tokyo' }, { title })], 'Test', NOW);
+  
+  ics.split('\r\n').forEach(line => {
+    assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`);
+    assert.ok(!line.includes('\uFFFD'));
+  });
+  assert.ok(ics.split('\r\n').some(line => line.startsWith(' ')), 'nothing was folded');
+  
+  const summary = eventField(unfold(ics), 'SUMMARY')[0];
+  assert.strictEqual(summary, title.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,'));
+});
@@ -0,0 +1,130 @@
+// Small limits so the tests run into them quickly; config is read when it's first required
+process.env.RATE_LIMIT_WINDOW_SECONDS = '2';
+process.env.RATE_LIMIT_PER_IP = '2';
+process.env.RATE_LIMIT_PER_KEY = '3';
+process.env.MAX_CONCURRENT_JOBS = '1';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { recommendLimits } = require('../services/clientLimits');
+
+// The limits in front of a handler that answers once the test lets it (`release`), or right away with ?now
+async function startApp() {
+  const waiting = [];
+  const app = express();
+  
+  // Each test is its own client: an address from X-Forwarded-For, or a key as apiKeyMiddleware would set it
+  app.set('trust proxy', true);
+  app.use((req, res, next) => {
+    req.apiKey = req.get('X-Test-Key');
+    next();
+  });
+  
+  app.post('/recommend', recommendLimits, (req, res) => {
+    if (req.query.now !== undefined) {
+      return res.json({ ok: true });
+    }
+    waiting.push(() => res.json({ ok: true }));
+  });
+  
+  app.use((error, req, res, next) => {
+    res.status(error.status || 500).json({ error: error.message });
+  });
+  
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  
+  return {
+    url: path => `http://127.0.0.1:${server.address().port}${path}`,
+    release: () => waiting.splice(0).forEach(answer => answer()),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function post(app, headers, options = {}) {
+  return fetch(app.url(options.wait ? '/recommend' : '/recommend?now'), { method: 'POST', headers, signal: options.signal });
+}
+
+test('answers 429 with Retry-After once an address used up its window', async () => {
+  const app = await startApp();
+  const client = { 'X-Forwarded-For': '192.0.2.1' };
+  
+  assert.strictEqual((await post(app, client)).status, 200);
+  assert.strictEqual((await post(app, client)).status, 200);
+  
+  const limited = await post(app, client);
+  
+  assert.strictEqual(limited.status, 429);
+  assert.ok(['1', '2'].includes(limited.headers.get('retry-after')), `Retry-After was ${limited.headers.get('retry-after')}`);
+  assert.match((await limited.json()).error, /at most 2 every 2 seconds/);
+  
+  // Other addresses have their own window
+  assert.strictEqual((await post(app, { 'X-Forwarded-For': '192.0.2.2' })).status, 200);
+  await app.close();
+});
+
+test('starts a new window once the old one has run out', async () => {
+  const app = await startApp();
+  const client = { 'X-Forwarded-For': '192.0.2.3' };
+  
+  await post(app, client);
+  await post(app, client);
+  assert.strictEqual((await post(app, client)).status, 429);
+  
+  await new Promise(resolve => setTimeout(resolve, 2100));
+  
+  assert.strictEqual((await post(app, client)).status, 200);
+  await app.close();
+});
+
+test('counts callers with an API key by key, with the per-key limit', async () => {
+  const app = await startApp();
+  
+  // Changing address doesn't help a key, and the key's calls don't count against the address
+  for (const address of ['192.0.2.4', '192.0.2.5', '192.0.2.6']) {
+    assert.strictEqual((await post(app, { 'X-Test-Key': 'alpha', 'X-Forwarded-For': address })).status, 200);
+  }
+  
+  assert.strictEqual((await post(app, { 'X-Test-Key': 'alpha', 'X-Forwarded-For': '192.0.2.7' })).status, 429);
+  assert.strictEqual((await post(app, { 'X-Test-Key': 'beta', 'X-Forwarded-For': '192.0.2.4' })).status, 200);
+  assert.strictEqual((await post(app, { 'X-Forwarded-For': '192.0.2.4' })).status, 200);
+  await app.close();
+});
+
+test('holds a job slot while a request runs and frees it when the response is sent', async () => {
+  const app = await startApp();
+  const client = { 'X-Test-Key': 'gamma' };
+  
+  const first = post(app, client, { wait: true });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  
+  const second = await post(app, client);
+  
+  assert.strictEqual(second.status, 429);
+  assert.match((await second.json()).error, /already have 1 recommendation request running/);
+  
+  app.release();
+  assert.strictEqual((await first).status, 200);
+  assert.strictEqual((await post(app, client)).status, 200);
+  await app.close();
+});
+
+test('frees the job slot when the client goes away before the answer', async () => {
+  const app = await startApp();
+  const client = { 'X-Test-Key': 'delta' };
+  const controller = new AbortController();
+  
+  const abandoned = post(app, client, { wait: true, signal: controller.signal });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  
+  controller.abort();
+  await assert.rejects(abandoned, error => error.name === 'AbortError');
+  await new Promise(resolve => setTimeout(resolve, 100));
+  
+  assert.strictEqual((await post(app, client)).status, 200);
+  
+  app.release();
+  await app.close();
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { XMLParser } = require('fast-xml-parser');
+const { exportItems } = require('../services/exporter');
+
+function item(malId, title, fields = {}) {
+  return { malId, title, url: malId ? `https://myanimelist.net/anime/${malId}` : null, type: 'TV', score: 8.1, ...fields };
+}
+
+function parseXml(body) {
+  return new XMLParser({ parseTagValue: false, isArray: name => ['anime', 'manga'].includes(name) }).parse(body).myanimelist;
+}
+
+test('writes a CSV header and one CRLF-terminated row per item', () => {
+  const { body, contentType, extension } = exportItems([item(1, 'Cowboy Bebop', { episodes: 26 })], 'anime', 'csv');
+  
+  assert.strictEqual(contentType, 'text/csv; charset=utf-8');
+  assert.strictEqual(extension, 'csv');
+  assert.strictEqual(body, [
+    'title,mal_id,url,type,score,episodes',
+    'Cowboy Bebop,1,https://myanimelist.net/anime/1,TV,8.1,26',
+    ''
+  ].join('\r\n'));
+});
+
+test('quotes CSV values with commas, quotes or line breaks and leaves missing ones empty', () => {
+  const items = [
+    item(1, 'Kaguya-sama, Love is War'),
+    item(2, 'The "Hentai" Prince and the Stony Cat.'),
+    item(3, 'Line one\nline two\r\nline three'),
+    item(null, 'No id', { type: null, score: null, chapters: 0 })
+  ];
+  
+  assert.strictEqual(exportItems(items, 'manga', 'csv').body, [
+    'title,mal_id,url,type,score,chapters',
+    '"Kaguya-sama, Love is War",1,https://myanimelist.net/anime/1,TV,8.1,',
+    '"The ""Hentai"" Prince and the Stony Cat.",2,https://myanimelist.net/anime/2,TV,8.1,',
+    '"Line one\nline two\r\nline three",3,https://myanimelist.net/anime/3,TV,8.1,',
+    'No id,,,,,0',
+    ''
+  ].join('\r\n'));
+});
+
+test('writes MyAnimeList import XML for anime, leaving out items without a MyAnimeList id', () => {
+  const items = [
+    item(1, 'Cowboy Bebop', { episodes: 26 }),
+    item(2, 'Tom & Jerry <Kids>', { type: 'Movie', episodes: null }),
+    item(null, 'No id', { episodes: 12 })
+  ];
+  const { body, contentType, extension } = exportItems(items, 'anime', 'xml');
+  const root = parseXml(body);
+  
+  assert.strictEqual(contentType, 'application/xml; charset=utf-8');
+  assert.strictEqual(extension, 'xml');
+  assert.ok(body.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  assert.deepStrictEqual(root.myinfo, { user_export_type: '1', user_total_anime: '2' });
+  assert.deepStrictEqual(root.anime, [
+    {
+      series_animedb_id: '1',
+      series_title: 'Cowboy Bebop',
+      series_type: 'TV',
+      series_episodes: '26',
+      my_status: 'Plan to Watch',
+      update_on_import: '1'
+    },
+    {
+      series_animedb_id: '2',
+      series_title: 'Tom & Jerry <Kids>',
+      series_type: 'Movie',
+      series_episodes: '0',
+      my_status: 'Plan to Watch',
+      update_on_import: '1'
+    }
+  ]);
+});
+
+test('writes MyAnimeList import XML for manga as plan to read', () => {
+  const root = parseXml(exportItems([item(2, 'Berserk', { type: 'Manga', chapters: 380 })], 'manga', 'xml').body);
+  
+  assert.deepStrictEqual(root.myinfo, { user_export_type: '2', user_total_manga: '1' });
+  assert.deepStrictEqual(root.manga, [{
+    manga_mangadb_id: '2',
+    manga_title: 'Berserk',
+    manga_chapters: '380',
+    my_status: 'Plan to Read',
+    update_on_import: '1'
+  }]);
+});
+
+test('counts light novels in volumes, in the CSV columns and the XML', () => {
+  const novel = item(21479, 'Sword Art Online', { type: 'Light Novel', chapters: null, volumes: 27 });
+  const root = parseXml(exportItems([novel], 'lightnovel', 'xml').body);
+  
+  assert.strictEqual(exportItems([novel], 'lightnovel', 'csv').body.split('\r\n')[0], 'title,mal_id,url,type,score,volumes');
+  assert.strictEqual(root.myinfo.user_export_type, '2');
+  assert.strictEqual(root.manga[0].manga_volumes, '27');
+  assert.strictEqual(root.manga[0].manga_chapters, undefined);
+});
+
+test('exports JSON rows and answers 400 for unknown formats', () => {
+  const { body } = exportItems([item(1, 'Cowboy Bebop', { episodes: 26 })], 'anime', 'json');
+  
+  assert.deepStrictEqual(JSON.parse(body), [{
+    title: 'Cowboy Bebop',
+    mal_id: 1,
+    url: 'https://myanimelist.net/anime/1',
+    type: 'TV',
+    score: 8.1,
+    episodes: 26
+  }]);
+  assert.throws(() => exportItems([], 'anime', 'pdf'), error => error.status === 400 && /Unknown export format "pdf"/.test(error.message));
+});
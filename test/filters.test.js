@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeFilters, matchesFilters } = require('../services/filters');
+
+const item = {
+  genres: ['Action', 'Drama'],
+  themes: ['Military'],
+  demographics: ['Seinen'],
+  status: 'finished',
+  score: 8.5,
+  year: 2010,
+  chapters: 120,
+  nsfw: false
+};
+
+function assertRejected(request, message) {
+  assert.throws(() => normalizeFilters(request), error => error.status === 400 && message.test(error.message));
+}
+
+function matches(filters, overrides = {}) {
+  return matchesFilters({ ...item, ...overrides }, normalizeFilters({ filters }), 'chapters');
+}
+
+test('defaults every filter to off, except sfw', () => {
+  const expected = {
+    genres: [],
+    exclude: [],
+    themes: [],
+    demographics: [],
+    status: [],
+    minScore: null,
+    yearFrom: null,
+    yearTo: null,
+    minLength: null,
+    maxLength: null,
+    sfw: true
+  };
+  
+  assert.deepStrictEqual(normalizeFilters(), expected);
+  assert.deepStrictEqual(normalizeFilters({ filters: {} }), expected);
+  assert.deepStrictEqual(normalizeFilters({ filters: { minScore: '', yearFrom: null } }), expected);
+});
+
+test('lowercases and trims names, folding in the top-level genres and exclude', () => {
+  const filters = normalizeFilters({
+    genres: [' Action '],
+    exclude: ['Horror', '  '],
+    filters: { themes: ['Military'], status: ['Finished'] }
+  });
+  
+  assert.deepStrictEqual(filters.genres, ['action']);
+  assert.deepStrictEqual(filters.exclude, ['horror']);
+  assert.deepStrictEqual(filters.themes, ['military']);
+  assert.deepStrictEqual(filters.status, ['finished']);
+});
+
+test('reads numbers sent as strings', () => {
+  const filters = normalizeFilters({ filters: { minScore: '7.5', yearFrom: '2000', yearTo: 2010, minLength: '0' } });
+  
+  assert.strictEqual(filters.minScore, 7.5);
+  assert.strictEqual(filters.yearFrom, 2000);
+  assert.strictEqual(filters.yearTo, 2010);
+  assert.strictEqual(filters.minLength, 0);
+});
+
+test('turns sfw off only when it is explicitly false', () => {
+  assert.strictEqual(normalizeFilters({ filters: { sfw: false } }).sfw, false);
+  assert.strictEqual(normalizeFilters({ filters: { sfw: 'false' } }).sfw, true);
+  assert.strictEqual(normalizeFilters({ filters: { sfw: 0 } }).sfw, true);
+});
+
+test('answers 400 for filters that are not an object', () => {
+  assertRejected({ filters: null }, /filters must be an object/);
+  assertRejected({ filters: [] }, /filters must be an object/);
+  assertRejected({ filters: 'sfw' }, /filters must be an object/);
+});
+
+test('answers 400 for name lists that are not lists of strings', () => {
+  assertRejected({ genres: 'Action' }, /filters.genres must be a list of names/);
+  assertRejected({ filters: { themes: [1] } }, /filters.themes must be a list of names/);
+  assertRejected({ filters: { status: ['finished', 'paused'] } }, /Unknown status "paused"/);
+});
+
+test('answers 400 for numbers that are negative, not numbers or out of order', () => {
+  assertRejected({ filters: { minScore: -1 } }, /filters.minScore must be a positive number/);
+  assertRejected({ filters: { yearFrom: 'soon' } }, /filters.yearFrom must be a positive number/);
+  assertRejected({ filters: { maxLength: Infinity } }, /filters.maxLength must be a positive number/);
+  assertRejected({ filters: { yearFrom: 2010, yearTo: 2000 } }, /yearFrom must not be after/);
+  assertRejected({ filters: { minLength: 50, maxLength: 10 } }, /minLength must not be more than/);
+});
+
+test('keeps adult entries out unless sfw is off', () => {
+  assert.strictEqual(matches({}, { nsfw: true }), false);
+  assert.strictEqual(matches({ sfw: false }, { nsfw: true }), true);
+});
+
+test('matches genres, themes and demographics by any name, and excludes by any of them', () => {
+  assert.strictEqual(matches({ themes: ['military', 'school'] }), true);
+  assert.strictEqual(matches({ themes: ['school'] }), false);
+  assert.strictEqual(matches({ demographics: ['Shounen'] }), false);
+  assert.strictEqual(matchesFilters(item, normalizeFilters({ genres: ['comedy'] }), 'chapters'), false);
+  assert.strictEqual(matchesFilters(item, normalizeFilters({ exclude: ['seinen'] }), 'chapters'), false);
+});
+
+test('checks status, score, year and length ranges', () => {
+  assert.strictEqual(matches({ status: ['ongoing'] }), false);
+  assert.strictEqual(matches({ minScore: 8.5 }), true);
+  assert.strictEqual(matches({ minScore: 9 }), false);
+  assert.strictEqual(matches({ yearFrom: 2010, yearTo: 2010 }), true);
+  assert.strictEqual(matches({ yearFrom: 2011 }), false);
+  assert.strictEqual(matches({ yearTo: 2009 }), false);
+  assert.strictEqual(matches({ minLength: 121 }), false);
+  assert.strictEqual(matches({ maxLength: 100 }), false);
+});
+
+test('lets entries without a year or length through those ranges, but not unscored ones past a score floor', () => {
+  assert.strictEqual(matches({ yearFrom: 2020, maxLength: 10 }, { year: null, chapters: null }), true);
+  assert.strictEqual(matches({ minScore: 1 }, { score: null }), false);
+});
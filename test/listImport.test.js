@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { importList } = require('../services/listImport');
+
+const malXml = `<?xml version="1.0" encoding="UTF-8"?>
+<myanimelist>
+  <myinfo><user_export_type>1</user_export_type></myinfo>
+  <anime>
+    <series_animedb_id>1</series_animedb_id>
+    <series_title><![CDATA[Cowboy Bebop]]></series_title>
+    <my_score>10</my_score>
+    <my_status>Completed</my_status>
+  </anime>
+  <anime>
+    <series_animedb_id>2</series_animedb_id>
+    <series_title>Liked It</series_title>
+    <my_score>8</my_score>
+    <my_status>Completed</my_status>
+  </anime>
+  <anime>
+    <series_animedb_id>3</series_animedb_id>
+    <series_title>Meh</series_title>
+    <my_score>5</my_score>
+    <my_status>Completed</my_status>
+  </anime>
+  <anime>
+    <series_animedb_id>4</series_animedb_id>
+    <series_title>Someday</series_title>
+    <my_score>0</my_score>
+    <my_status>Plan to Watch</my_status>
+  </anime>
+</myanimelist>`;
+
+function aniListEntry(id, idMal, { score = 0, status = 'COMPLETED', type = 'MANGA' } = {}) {
+  return { status, score, media: { id, idMal, type, title: { romaji: `Title ${id}` } } };
+}
+
+function importJson(json) {
+  return importList(Buffer.from(JSON.stringify(json)));
+}
+
+function assertRejected(buffer, message) {
+  assert.throws(() => importList(buffer), error => error.status === 400 && message.test(error.message));
+}
+
+test('reads a MyAnimeList export: favorites become weighted seeds and every entry is excluded', () => {
+  const result = importList(Buffer.from(malXml));
+  
+  assert.strictEqual(result.source, 'myanimelist');
+  assert.strictEqual(result.mediaType, 'anime');
+  assert.deepStrictEqual(result.seeds, [
+    { id: 1, title: 'Cowboy Bebop', weight: 1.5 },
+    { id: 2, title: 'Liked It', weight: 1 }
+  ]);
+  assert.deepStrictEqual(result.excludeIds, [1, 2, 3, 4]);
+  assert.deepStrictEqual(result.counts, { total: 4, completed: 3, seeds: 2, unmatched: 0 });
+});
+
+test('unpacks gzipped MyAnimeList exports', () => {
+  assert.deepStrictEqual(importList(zlib.gzipSync(malXml)), importList(Buffer.from(malXml)));
+});
+
+test('reads AniList exports in both shapes, scaling 100-point scores', () => {
+  const entries = [aniListEntry(10, 110, { score: 90 }), aniListEntry(11, 111, { score: 70 })];
+  const siteExport = importJson({ lists: [{ entries }] });
+  const queryResult = importJson({ data: { MediaListCollection: { lists: [{ entries }] } } });
+  
+  assert.strictEqual(siteExport.source, 'anilist');
+  assert.strictEqual(siteExport.mediaType, 'manga');
+  assert.deepStrictEqual(siteExport.seeds, [{ id: 110, title: 'Title 10', weight: 1.25 }]);
+  assert.deepStrictEqual(siteExport.excludeIds, [110, 111]);
+  assert.deepStrictEqual(queryResult, siteExport);
+});
+
+test('leaves out AniList entries without a MyAnimeList id and counts them as unmatched', () => {
+  const result = importJson({ lists: [{ entries: [aniListEntry(10, null, { score: 10 }), aniListEntry(11, 111, { score: 9 })] }] });
+  
+  assert.deepStrictEqual(result.seeds.map(seed => seed.id), [111]);
+  assert.deepStrictEqual(result.excludeIds, [111]);
+  assert.deepStrictEqual(result.counts, { total: 1, completed: 1, seeds: 1, unmatched: 1 });
+});
+
+test('falls back to completed entries as seeds when nothing is scored', () => {
+  const result = importJson({ lists: [{ entries: [aniListEntry(10, 110), aniListEntry(11, 111, { status: 'PLANNING' })] }] });
+  
+  assert.deepStrictEqual(result.seeds, [{ id: 110, title: 'Title 10', weight: 1 }]);
+});
+
+test('skips entries and lists that are not objects', () => {
+  const result = importJson({ lists: [null, { entries: null }, { entries: [null, 3, 'x', aniListEntry(10, 110, { score: 9 })] }] });
+  
+  assert.deepStrictEqual(result.excludeIds, [110]);
+});
+
+test('answers 400 for files that are not list exports', () => {
+  assertRejected(Buffer.alloc(0), /Please upload/);
+  assertRejected(Buffer.from('{"lists": ['), /Could not read the file/);
+  assertRejected(Buffer.from('null'), /not an AniList export/);
+  assertRejected(Buffer.from('42'), /not an AniList export/);
+  assertRejected(Buffer.from('"lists"'), /not an AniList export/);
+  assertRejected(Buffer.from('{"lists": {}}'), /not an AniList export/);
+  assertRejected(Buffer.from('<html><body>Not a list</body></html>'), /not a MyAnimeList export/);
+  assertRejected(Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x01, 0x02]), /damaged/);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const axios = require('axios');
+const { createRateLimiter } = require('../services/rateLimiter');
+
+// Local stand-in for an upstream API: `respond(path, hit)` picks each answer, and every hit is recorded with its time
+async function startStub(respond = () => ({ status: 200 })) {
+  const hits = [];
+  
+  const server = http.createServer((req, res) => {
+    const hit = { path: req.url, at: Date.now() };
+    hits.push(hit);
+    
+    const { status, headers = {} } = respond(req.url, hits.filter(h => h.path === req.url).length);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify({ path: req.url }));
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    hits,
+    url: path => `http://127.0.0.1:${server.address().port}${path}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function fetchThrough(limiter, stub, path, options) {
+  return limiter.schedule(signal => axios.get(stub.url(path), { signal }).then(response => response.data), options);
+}
+
+test('holds requests until the per-second budget has a token', async () => {
+  const stub = await startStub();
+  const limiter = createRateLimiter({ perSecond: 2, perMinute: 60 });
+  const start = Date.now();
+  
+  await Promise.all(['/1', '/2', '/3'].map(path => fetchThrough(limiter, stub, path)));
+  await stub.close();
+  
+  // Two tokens are there from the start; the third takes half a second to refill
+  assert.ok(stub.hits[1].at - start < 300);
+  assert.ok(stub.hits[2].at - start >= 450, `third request ran after ${stub.hits[2].at - start}ms`);
+});
+
+test('the per-minute budget caps bursts the per-second one would allow', async () => {
+  const stub = await startStub();
+  const limiter = createRateLimiter({ perSecond: 10, perMinute: 2 });
+  const controller = new AbortController();
+  
+  await Promise.all(['/1', '/2'].map(path => fetchThrough(limiter, stub, path)));
+  const third = fetchThrough(limiter, stub, '/3', { signal: controller.signal });
+  
+  // The first two took the minute's tokens, so the third is half a minute away: stop waiting for it
+  assert.deepStrictEqual(stub.hits.map(h => h.path), ['/1', '/2']);
+  assert.strictEqual(limiter.stats().pending.interactive, 1);
+  
+  controller.abort();
+  await assert.rejects(third, error => error.code === 'ERR_CANCELED');
+  await stub.close();
+});
+
+test('retries a 429 after its Retry-After, holding back every request until then', async () => {
+  const stub = await startStub((path, count) => (
+    path === '/limited' && count === 1 ? { status: 429, headers: { 'Retry-After': '1' } } : { status: 200 }
+  ));
+  const limiter = createRateLimiter({ perSecond: 10, perMinute: 60, retryBaseDelay: 10 });
+  const start = Date.now();
+  
+  const limited = fetchThrough(limiter, stub, '/limited');
+  
+  // Sent once the 429 is in, so it waits out the same Retry-After
+  await new Promise(resolve => setTimeout(resolve, 100));
+  const other = fetchThrough(limiter, stub, '/other');
+  
+  assert.deepStrictEqual(await limited, { path: '/limited' });
+  assert.deepStrictEqual(await other, { path: '/other' });
+  await stub.close();
+  
+  const [first, ...rest] = stub.hits;
+  
+  assert.strictEqual(first.path, '/limited');
+  assert.deepStrictEqual(rest.map(h => h.path).sort(), ['/limited', '/other']);
+  rest.forEach(hit => assert.ok(hit.at - start >= 950, `${hit.path} ran after ${hit.at - start}ms`));
+});
+
+test('retries 5xx responses with backoff and gives up after maxRetries', async () => {
+  const stub = await startStub((path, count) => (path === '/flaky' && count < 3 ? { status: 503 } : path === '/down' ? { status: 500 } : { status: 200 }));
+  const limiter = createRateLimiter({ perSecond: 10, perMinute: 60, maxRetries: 2, retryBaseDelay: 10 });
+  
+  assert.deepStrictEqual(await fetchThrough(limiter, stub, '/flaky'), { path: '/flaky' });
+  await assert.rejects(fetchThrough(limiter, stub, '/down'), error => error.response.status === 500);
+  await stub.close();
+  
+  assert.strictEqual(stub.hits.filter(h => h.path === '/flaky').length, 3);
+  assert.strictEqual(stub.hits.filter(h => h.path === '/down').length, 3);
+});
+
+test('does not retry other client errors', async () => {
+  const stub = await startStub(() => ({ status: 404 }));
+  const limiter = createRateLimiter({ perSecond: 10, perMinute: 60, retryBaseDelay: 10 });
+  
+  await assert.rejects(fetchThrough(limiter, stub, '/missing'), error => error.response.status === 404);
+  await stub.close();
+  
+  assert.strictEqual(stub.hits.length, 1);
+});
+
+test('dispatches every interactive request before any background one', async () => {
+  const stub = await startStub();
+  const limiter = createRateLimiter({ perSecond: 1, perMinute: 60 });
+  
+  // The first request takes the only token; the others queue up behind it
+  await Promise.all([
+    fetchThrough(limiter, stub, '/first'),
+    fetchThrough(limiter, stub, '/background', { priority: 'background' }),
+    fetchThrough(limiter, stub, '/interactive', { priority: 'interactive' })
+  ]);
+  await stub.close();
+  
+  assert.deepStrictEqual(stub.hits.map(h => h.path), ['/first', '/interactive', '/background']);
+});
+
+test('drops a queued request as soon as its signal aborts', async () => {
+  const stub = await startStub();
+  const limiter = createRateLimiter({ perSecond: 1, perMinute: 60 });
+  const controller = new AbortController();
+  
+  const first = fetchThrough(limiter, stub, '/first');
+  const queued = fetchThrough(limiter, stub, '/queued', { signal: controller.signal });
+  
+  assert.strictEqual(limiter.stats().pending.interactive, 1);
+  controller.abort();
+  
+  await assert.rejects(queued, error => error.code === 'ERR_CANCELED');
+  assert.strictEqual(limiter.stats().pending.interactive, 0);
+  
+  await first;
+  await stub.close();
+  
+  assert.deepStrictEqual(stub.hits.map(h => h.path), ['/first']);
+});
+
+test('rejects a request whose signal already aborted without calling upstream', async () => {
+  const stub = await startStub();
+  const limiter = createRateLimiter({ perSecond: 10, perMinute: 60 });
+  const controller = new AbortController();
+  controller.abort();
+  
+  await assert.rejects(fetchThrough(limiter, stub, '/never', { signal: controller.signal }), error => error.code === 'ERR_CANCELED');
+  await stub.close();
+  
+  assert.strictEqual(stub.hits.length, 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validate } = require('../services/schemas');
+
+function recommend(body) {
+  return validate('RecommendRequest', { titles: ['Berserk'], ...body });
+}
+
+function assertRejected(body, details) {
+  assert.throws(() => recommend(body), error => {
+    assert.strictEqual(error.status, 400);
+    assert.strictEqual(error.message, details[0].message);
+    assert.deepStrictEqual(error.details, details);
+    return true;
+  });
+}
+
+test('accepts seeds as names, MyAnimeList ids, or imported titles without an id', () => {
+  const titles = ['Berserk', { id: 2 }, { id: '2' }, { id: null, title: 'Vagabond' }, { title: 'Vagabond' }];
+  
+  assert.deepStrictEqual(recommend({ titles }).titles, titles);
+});
+
+test('rejects seeds that are neither a name nor an object with an id or a title', () => {
+  const message = 'must be a title name or an object with a MyAnimeList id or a title';
+  
+  assertRejected({ titles: [''] }, [{ field: 'titles.0', message: `titles.0 ${message}` }]);
+  assertRejected({ titles: [{ id: 0 }] }, [{ field: 'titles.0', message: `titles.0 ${message}` }]);
+  assertRejected({ titles: [{ id: null }] }, [{ field: 'titles.0', message: `titles.0 ${message}` }]);
+  assertRejected({ titles: [{ id: null, title: '' }] }, [{ field: 'titles.0', message: `titles.0 ${message}` }]);
+});
+
+test('accepts an exploration the recommender accepts, numbers sent as strings included', () => {
+  [0, 0.5, 1, '0', '0.25', '.5', '1', '1.0', null].forEach(exploration => {
+    assert.doesNotThrow(() => recommend({ exploration }), `exploration ${JSON.stringify(exploration)}`);
+  });
+});
+
+test('rejects an exploration outside 0 to 1', () => {
+  const details = [{ field: 'exploration', message: 'exploration must be a number from 0 (safe bets) to 1 (hidden gems)' }];
+  
+  [-0.1, 1.5, '1.5', '-1', 'high', '', true].forEach(exploration => assertRejected({ exploration }, details));
+});
+
+test('lists every problem, naming each field', () => {
+  assert.throws(() => validate('RecommendRequest', { mediaType: 'novel', filters: { sfw: 'yes', minScore: -1 } }), error => {
+    assert.deepStrictEqual(error.details.map(detail => detail.field).sort(), ['filters.minScore', 'filters.sfw', 'mediaType', 'request body']);
+    assert.ok(error.details.some(detail => detail.message.startsWith('mediaType must be one of: anime, manga')));
+    assert.ok(error.details.some(detail => detail.message === 'request body must have required property \'titles\''));
+    return true;
+  });
+});
+
+test('asks group requests for participants instead of titles', () => {
+  assert.throws(() => validate('RecommendRequest', { mode: 'group', titles: ['Berserk'] }), error => {
+    assert.deepStrictEqual(error.details, [{ field: 'request body', message: 'request body must have required property \'participants\'' }]);
+    return true;
+  });
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScorer } = require('../services/similarity');
+
+const SIGNALS = ['votes', 'genres', 'themes', 'demographics', 'creators', 'synopsis', 'rating'];
+
+function item(title, fields = {}) {
+  return { title, genres: [], themes: [], demographics: [], creators: [], description: '', score: null, ...fields };
+}
+
+const bebop = item('Cowboy Bebop', {
+  genres: ['Action', 'Sci-Fi'],
+  themes: ['Space', 'Adult Cast'],
+  demographics: [],
+  creators: ['Sunrise'],
+  description: 'Bounty hunters chase criminals across the solar system aboard their battered spaceship.'
+});
+
+const candidates = {
+  close: item('Space Dandy', {
+    genres: ['Action', 'Sci-Fi'],
+    themes: ['Space'],
+    creators: ['Bones'],
+    description: 'An alien hunter and his crew chase rare creatures across the galaxy aboard a spaceship.',
+    score: 7.9
+  }),
+  partial: item('Trigun', {
+    genres: ['Action', 'Adventure'],
+    description: 'A gunman with a huge bounty on his head wanders a desert planet.',
+    score: 8.2
+  }),
+  unrelated: item('K-On!', {
+    genres: ['Slice of Life'],
+    themes: ['Music', 'School'],
+    description: 'Four high school girls start a band in their light music club.',
+    score: 8.5
+  })
+};
+
+function scorer(seeds = [{ title: bebop.title, item: bebop, weight: 1 }], options = {}) {
+  return createScorer(seeds, { corpus: Object.values(candidates), label: 'MyAnimeList', ...options });
+}
+
+test('ranks candidates by how much they share with the seeds', () => {
+  const score = scorer();
+  const totals = Object.values(candidates).map(candidate => score(candidate).total);
+  
+  assert.ok(totals[0] > totals[1], `${totals}`);
+  assert.ok(totals[1] > totals[2], `${totals}`);
+});
+
+test('breaks the total down into weighted signals that add up to it', () => {
+  const breakdown = scorer()(candidates.close);
+  
+  assert.deepStrictEqual(Object.keys(breakdown.signals).sort(), [...SIGNALS].sort());
+  assert.ok(Number.isInteger(breakdown.total) && breakdown.total >= 0 && breakdown.total <= 100);
+  
+  const weights = Object.values(breakdown.signals).reduce((sum, signal) => sum + signal.weight, 0);
+  const total = Object.values(breakdown.signals).reduce((sum, signal) => sum + signal.value * signal.weight, 0);
+  
+  assert.ok(Math.abs(weights - 1) < 1e-9, `weights add up to ${weights}`);
+  assert.strictEqual(breakdown.total, Math.round(total * 100));
+  Object.values(breakdown.signals).forEach(signal => assert.ok(signal.value >= 0 && signal.value <= 1));
+});
+
+test('reports what matched and with which seed', () => {
+  const { signals } = scorer()(candidates.close);
+  
+  assert.deepStrictEqual(signals.genres.shared, ['Action', 'Sci-Fi']);
+  assert.strictEqual(signals.genres.seed, 'Cowboy Bebop');
+  assert.strictEqual(signals.genres.value, 1);
+  assert.deepStrictEqual(signals.themes.shared, ['Space']);
+  assert.strictEqual(signals.themes.value, 0.5);
+  assert.deepStrictEqual(signals.creators.shared, []);
+  assert.strictEqual(signals.synopsis.seed, 'Cowboy Bebop');
+  assert.ok(signals.synopsis.value > 0);
+  assert.strictEqual(signals.rating.score, 7.9);
+  assert.strictEqual(signals.rating.value, 0.79);
+});
+
+test('scales votes against the highest total and names the seeds they came from', () => {
+  const breakdown = scorer(undefined, { maxVotes: 20 })(candidates.partial, {
+    votes: 3,
+    blendedVotes: 20,
+    similarTo: ['Cowboy Bebop', 'Outlaw Star']
+  });
+  
+  assert.deepStrictEqual(breakdown.signals.votes, { value: 1, count: 3, weight: 0.3 });
+  assert.strictEqual(breakdown.reasons[0], 'Recommended by 3 MyAnimeList users who also enjoyed Cowboy Bebop and Outlaw Star');
+});
+
+test('explains the strongest signals first and leaves weak ones out', () => {
+  const { reasons } = scorer()(candidates.close);
+  
+  assert.deepStrictEqual(reasons.slice(0, 2), ['Shares Action and Sci-Fi with Cowboy Bebop', 'Also about Space']);
+  assert.ok(reasons.length <= 4);
+  assert.ok(!reasons.some(reason => reason.startsWith('Rated')), 'a 7.9 is not worth mentioning');
+  assert.deepStrictEqual(scorer()(candidates.unrelated).reasons, ['Rated 8.5 on MyAnimeList']);
+});
+
+test('discounts matches with seeds the user rated lower', () => {
+  const monogatari = item('Bakemonogatari', { genres: ['Mystery', 'Romance'], description: 'A boy helps girls with apparitions.' });
+  const seeds = [
+    { title: bebop.title, item: bebop, weight: 2 },
+    { title: monogatari.title, item: monogatari, weight: 1 }
+  ];
+  const { signals } = scorer(seeds)(item('Mystery Romance', { genres: ['Mystery', 'Romance'] }));
+  
+  assert.strictEqual(signals.genres.seed, 'Bakemonogatari');
+  assert.strictEqual(signals.genres.value, 0.5);
+});
+
+test('ignores stop words and synopsis boilerplate', () => {
+  const boilerplate = 'The story of the series. [Written by MAL Rewrite]';
+  const seed = item('Seed', { description: `${boilerplate} Pirates sail the ocean.` });
+  const score = createScorer([{ title: 'Seed', item: seed, weight: 1 }], { label: 'MyAnimeList' });
+  
+  assert.strictEqual(score(item('Other', { description: `${boilerplate} Robots fight in orbit.` })).signals.synopsis.value, 0);
+  assert.ok(score(item('Pirates', { description: 'Pirates sail a stormy ocean.' })).signals.synopsis.value > 0.3);
+});
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A throwaway data directory and small caps, set before config is first required
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'recommender-test-'));
+process.env.MAX_SEED_TITLES = '3';
+process.env.MAX_BODY_SIZE = '1kb';
+process.env.RATE_LIMIT_PER_IP = '100';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const v1Routes = require('../routes/v1');
+
+let server;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/v1', v1Routes);
+  
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+});
+
+test.after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function post(route, body) {
+  return fetch(`http://127.0.0.1:${server.address().port}/api/v1${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+test('rejects more titles than the seed cap before looking any of them up', async () => {
+  const response = await post('/recommend', { titles: ['A', 'B', 'C', 'D'] });
+  const { error } = await response.json();
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(error.code, 'invalid_request');
+  assert.deepStrictEqual(error.details, [{ field: 'titles', message: 'titles must NOT have more than 3 items' }]);
+});
+
+test('caps a group\'s titles between all of its participants', async () => {
+  const response = await post('/recommend/group', {
+    participants: [{ titles: ['A', 'B'] }, { titles: ['C', 'D'] }]
+  });
+  const { error } = await response.json();
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(error.message, 'A group can name at most 3 titles between them, not 4');
+});
+
+test('rejects groups of more than 8 participants', async () => {
+  const participants = Array.from({ length: 9 }, (_, index) => ({ name: `P${index}`, titles: [{ id: index + 1 }] }));
+  const response = await post('/recommend/group', { participants });
+  const { error } = await response.json();
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual(error.message, 'participants must NOT have more than 8 items');
+});
+
+test('answers 413 in the error envelope for bodies over the size limit', async () => {
+  const response = await post('/recommend', { titles: ['A'], preferences: 'x'.repeat(2000) });
+  
+  assert.strictEqual(response.status, 413);
+  assert.deepStrictEqual((await response.json()).error, {
+    status: 413,
+    code: 'payload_too_large',
+    message: 'request entity too large'
+  });
+});
+
+test('answers 400 for a body that isn\'t JSON', async () => {
+  const response = await post('/recommend', '{"titles": [');
+  
+  assert.strictEqual(response.status, 400);
+  assert.strictEqual((await response.json()).error.code, 'invalid_request');
+});
+
+test('answers unknown routes with a 404 in the error envelope', async () => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/recommendations`);
+  
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual((await response.json()).error, {
+    status: 404,
+    code: 'not_found',
+    message: 'No API route for GET /api/v1/recommendations'
+  });
+});
+
+test('lists every schema problem in the envelope\'s details', async () => {
+  const response = await post('/recommend', { titles: [{ id: 0 }], exploration: 2 });
+  const { error } = await response.json();
+  
+  assert.strictEqual(response.status, 400);
+  assert.deepStrictEqual(error.details.map(detail => detail.field), ['titles.0', 'exploration']);
+});
+
+test('publishes an OpenAPI document describing the request schemas', async () => {
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/v1/openapi.json`);
+  const document = await response.json();
+  
+  assert.strictEqual(response.status, 200);
+  assert.match(document.openapi, /^3\./);
+  assert.ok(document.paths['/recommend'].post);
+  assert.ok(document.components.schemas.RecommendRequest);
+});